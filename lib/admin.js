@@ -0,0 +1,110 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ApiError, asyncHandler } = require('./errors');
+const { validate, integer, string } = require('./validation');
+const { parseCatalog } = require('./catalog');
+
+// Compare secrets in constant time. Hashing first makes the inputs the same
+// length, so the comparison doesn't reveal the token's length either.
+function safeEqual(actual, expected) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(actual), digest(expected));
+}
+
+// Middleware requiring "Authorization: Bearer <admin token>". Without a
+// configured token the admin API is switched off rather than open.
+function requireAdmin(token) {
+    return (req, res, next) => {
+        if (!token) {
+            return next(new ApiError(503, 'ADMIN_DISABLED', 'Set ADMIN_TOKEN to enable the admin API'));
+        }
+        
+        const [scheme, value] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !value || !safeEqual(value, token)) {
+            return next(new ApiError(401, 'UNAUTHORIZED', 'A valid admin token is required'));
+        }
+        next();
+    };
+}
+
+// Admin API, mounted under /api/admin.
+//   cache           - the response Cache
+//   catalog         - the live catalog object; edits replace its lists in place
+//   saveCatalog     - persists an edited catalog
+//   upstream()      - provider quota and upstream request/error counters
+//   onCatalogChange - called after the catalog was edited
+function createAdminRouter({ token, cache, catalog, saveCatalog, upstream, onCatalogChange = () => {} }) {
+    const router = express.Router();
+    router.use(requireAdmin(token));
+    
+    // Overview for the dashboard
+    router.get('/status', (req, res) => {
+        res.json({
+            uptime: process.uptime(),
+            memory: process.memoryUsage().rss,
+            cache: cache.stats(),
+            upstream: upstream()
+        });
+    });
+    
+    // Cached responses, optionally only keys starting with a prefix (e.g. "search_")
+    router.get('/cache', validate({
+        query: {
+            prefix: string({ required: false, maxLength: 200, defaultValue: '' }),
+            limit: integer({ min: 1, max: 1000, defaultValue: 100 })
+        }
+    }), (req, res) => {
+        const { prefix, limit } = req.valid;
+        const entries = cache.entries(prefix);
+        res.json({
+            total: entries.length,
+            bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+            // Most recently used first
+            entries: entries.reverse().slice(0, limit)
+        });
+    });
+    
+    // Purge entries by prefix. Clearing everything has to be asked for explicitly.
+    router.delete('/cache', validate({
+        query: {
+            prefix: string({ required: false, maxLength: 200 }),
+            all: string({ required: false, maxLength: 5, pattern: /^true$/ })
+        }
+    }), asyncHandler(async (req, res) => {
+        const { prefix, all } = req.valid;
+        if (!prefix && !all) {
+            throw new ApiError(400, 'INVALID_PARAMETER', 'Give a prefix, or all=true to clear the whole cache');
+        }
+        
+        const removed = prefix ? await cache.deletePrefix(prefix) : await cache.clear();
+        console.log(`[${req.id}] Admin purged ${removed} cache entries${prefix ? ` with prefix "${prefix}"` : ''}`);
+        res.json({ removed: removed });
+    }));
+    
+    router.get('/catalog', (req, res) => {
+        res.json(catalog);
+    });
+    
+    // Replace the categories and collections. The whole catalog is validated
+    // before anything changes, so a bad edit leaves the old one in place.
+    router.put('/catalog', asyncHandler(async (req, res) => {
+        let updated;
+        try {
+            updated = parseCatalog(req.body || {});
+        } catch (error) {
+            throw new ApiError(400, 'INVALID_CATALOG', error.message);
+        }
+        
+        await saveCatalog(updated);
+        catalog.categories = updated.categories;
+        catalog.collections = updated.collections;
+        await onCatalogChange();
+        
+        console.log(`[${req.id}] Admin updated the catalog`);
+        res.json(catalog);
+    }));
+    
+    return router;
+}
+
+module.exports = { createAdminRouter, requireAdmin, safeEqual };
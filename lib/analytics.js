@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Events that are counted. Searches are recorded by the server as it answers
+// them; the rest are reported by the client. Nothing identifies the user: no
+// account, IP or exact time is kept, only counts per hour.
+const EVENT_TYPES = ['search', 'play', 'complete', 'queue_add', 'like', 'error'];
+
+const HOUR = 60 * 60 * 1000;
+const WINDOWS = { '24h': 24 * HOUR, '7d': 7 * 24 * HOUR, '30d': 30 * 24 * HOUR };
+const RETENTION = WINDOWS['30d'];
+// Trending lists weigh each hour's counts by age: a play three days ago counts half as much as one now
+const TRENDING_HALF_LIFE = 3 * 24 * HOUR;
+// Trending searches are shown to everyone, so a query needs a few searches before it's listed
+const MIN_TRENDING_SEARCHES = 2;
+
+const MAX_BATCH = 50;
+// Distinct queries, videos or error codes counted per hour; later ones only add to the totals
+const MAX_KEYS_PER_BUCKET = 500;
+// Writes are batched; at most this much is lost if the process dies
+const SAVE_DELAY = 5000;
+// Each client counts a query, or a play, like or queue add of a video, once an
+// hour, so repeating it can't push it up the public lists. This many recent
+// (client, event) pairs are remembered; past that the oldest are forgotten.
+const DEDUPE_WINDOW = HOUR;
+const MAX_SEEN = 50000;
+
+// Names in the count maps are queries and codes from users, so the maps have
+// no prototype: "constructor" or "__proto__" are ordinary keys
+function countMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+// Check an event sent by a client. Returns an error message, or null when the event is fine.
+function checkEvent(event) {
+    if (!event || typeof event !== 'object') return 'must be an object';
+    if (!EVENT_TYPES.includes(event.type)) return `type must be one of: ${EVENT_TYPES.join(', ')}`;
+    
+    if (event.type === 'search') {
+        if (typeof event.query !== 'string' || !event.query.trim() || event.query.length > 100) return 'query must be a string of at most 100 characters';
+        if (!Number.isInteger(event.results) || event.results < 0) return 'results must be a non-negative integer';
+    } else if (event.type === 'error') {
+        if (typeof event.code !== 'string' || !/^[A-Z0-9_]{1,40}$/.test(event.code)) return 'code must be an upper-case error code';
+    } else if (!Number.isInteger(event.videoId) || event.videoId < 1) {
+        return 'videoId must be a positive integer';
+    }
+    return null;
+}
+
+// "  Sunset   Beach " and "sunset beach" count as the same query
+function normalizeQuery(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function emptyBucket(start) {
+    return {
+        start: start,
+        counts: Object.fromEntries(EVENT_TYPES.map(type => [type, 0])),
+        queries: countMap(),
+        zeroResults: countMap(),
+        plays: countMap(),
+        completions: countMap(),
+        errors: countMap()
+    };
+}
+
+const COUNT_MAPS = ['queries', 'zeroResults', 'plays', 'completions', 'errors'];
+
+function increment(counts, key) {
+    if (Object.hasOwn(counts, key) || Object.keys(counts).length < MAX_KEYS_PER_BUCKET) {
+        counts[key] = (counts[key] || 0) + 1;
+    }
+}
+
+function addCounts(total, counts) {
+    Object.entries(counts).forEach(([key, count]) => {
+        total[key] = (total[key] || 0) + count;
+    });
+    return total;
+}
+
+function top(counts, limit) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit);
+}
+
+// Completions are only counted after a play, so this stays at or below 1
+function rate(part, whole) {
+    return whole ? part / whole : null;
+}
+
+// Usage counts in hourly buckets, kept in a single JSON file for 30 days.
+// Same write pattern as UserStore, but saves are delayed so a burst of
+// batches becomes one write.
+class AnalyticsStore {
+    constructor(file) {
+        this.file = path.resolve(file);
+        this.data = { buckets: [] };
+        this.writing = Promise.resolve();
+        this.saveTimer = null;
+        // Hashes of (client, event) pairs counted in the last hour, oldest first,
+        // with the time they were counted. Memory only.
+        this.seen = new Map();
+        this.salt = crypto.randomBytes(16).toString('hex');
+        
+        if (fs.existsSync(this.file)) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.data.buckets.forEach(bucket => {
+                COUNT_MAPS.forEach(key => {
+                    bucket[key] = countMap(bucket[key]);
+                });
+            });
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        const snapshot = JSON.stringify(this.data);
+        const temp = `${this.file}.${process.pid}.tmp`;
+        
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(temp, snapshot, { mode: 0o600 });
+                await fs.promises.rename(temp, this.file);
+            });
+        return this.writing;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.save().catch(error => console.error('Could not save analytics:', error.message));
+        }, SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    bucket(now) {
+        const start = Math.floor(now / HOUR) * HOUR;
+        const buckets = this.data.buckets;
+        let bucket = buckets[buckets.length - 1];
+        
+        if (!bucket || bucket.start !== start) {
+            bucket = emptyBucket(start);
+            buckets.push(bucket);
+            this.data.buckets = buckets.filter(old => now - old.start <= RETENTION);
+        }
+        return bucket;
+    }
+
+    seenKey(client, name) {
+        return crypto.createHash('sha256').update(`${this.salt}\n${client}\n${name}`).digest('base64');
+    }
+
+    hasSeen(client, name, now) {
+        const key = this.seenKey(client, name);
+        return this.seen.has(key) && now - this.seen.get(key) < DEDUPE_WINDOW;
+    }
+
+    // Remember that the client did `name`; false when it already did in the last hour
+    markSeen(client, name, now) {
+        for (const [key, time] of this.seen) {
+            if (now - time < DEDUPE_WINDOW && this.seen.size < MAX_SEEN) break;
+            this.seen.delete(key);
+        }
+        const key = this.seenKey(client, name);
+        if (this.seen.has(key)) return false;
+        this.seen.set(key, now);
+        return true;
+    }
+
+    // Whether an event from the client adds to the counts
+    shouldCount(event, client, now) {
+        if (event.type === 'search') return this.markSeen(client, `search\n${normalizeQuery(event.query)}`, now);
+        if (event.type === 'error') return true;
+        if (event.type === 'complete') {
+            // At most one completion per counted play: repeat-one completes on every loop but plays once
+            return this.hasSeen(client, `play\n${event.videoId}`, now) && this.markSeen(client, `complete\n${event.videoId}`, now);
+        }
+        return this.markSeen(client, `${event.type}\n${event.videoId}`, now);
+    }
+
+    // Count a batch of events that passed checkEvent, sent by `client` (e.g. an
+    // IP address). Returns how many were counted.
+    record(events, client, now = Date.now()) {
+        const bucket = this.bucket(now);
+        let counted = 0;
+        
+        events.forEach(event => {
+            if (!this.shouldCount(event, client, now)) return;
+            counted++;
+            bucket.counts[event.type]++;
+            
+            if (event.type === 'search') {
+                const query = normalizeQuery(event.query);
+                increment(bucket.queries, query);
+                if (event.results === 0) increment(bucket.zeroResults, query);
+            } else if (event.type === 'play') {
+                increment(bucket.plays, event.videoId);
+            } else if (event.type === 'complete') {
+                increment(bucket.completions, event.videoId);
+            } else if (event.type === 'error') {
+                increment(bucket.errors, event.code);
+            }
+        });
+        
+        if (counted > 0) this.scheduleSave();
+        return counted;
+    }
+
+    // Count a search answered by /api/search. Returns whether it was counted.
+    recordSearch(query, results, client, now = Date.now()) {
+        return this.record([{ type: 'search', query: query, results: results }], client, now) > 0;
+    }
+
+    // Totals of every bucket that overlaps the last `duration` milliseconds
+    summary(duration, now = Date.now()) {
+        const buckets = this.data.buckets.filter(bucket => bucket.start + HOUR > now - duration);
+        const merge = key => buckets.reduce((total, bucket) => addCounts(total, bucket[key]), countMap());
+        
+        return {
+            counts: merge('counts'),
+            queries: merge('queries'),
+            zeroResults: merge('zeroResults'),
+            plays: merge('plays'),
+            completions: merge('completions'),
+            errors: merge('errors')
+        };
+    }
+
+    // Decayed scores for one kind of count (e.g. "plays") over the last `duration`
+    trending(key, duration = WINDOWS['7d'], now = Date.now()) {
+        const scores = countMap();
+        
+        this.data.buckets
+            .filter(bucket => bucket.start + HOUR > now - duration)
+            .forEach(bucket => {
+                const weight = Math.pow(0.5, Math.max(now - (bucket.start + HOUR), 0) / TRENDING_HALF_LIFE);
+                Object.entries(bucket[key]).forEach(([name, count]) => {
+                    scores[name] = (scores[name] || 0) + count * weight;
+                });
+            });
+        return scores;
+    }
+
+    // Most played videos of the week, recent plays weighing more
+    popularVideos(limit = 10, now = Date.now()) {
+        const { plays } = this.summary(WINDOWS['7d'], now);
+        return top(this.trending('plays', WINDOWS['7d'], now), limit)
+            .map(([videoId, score]) => ({ videoId: Number(videoId), plays: plays[videoId], score: Math.round(score * 100) / 100 }));
+    }
+
+    // Most searched queries of the week, leaving out rare ones and ones that found nothing
+    topQueries(limit = 10, now = Date.now()) {
+        const { queries, zeroResults } = this.summary(WINDOWS['7d'], now);
+        const scores = this.trending('queries', WINDOWS['7d'], now);
+        Object.keys(scores).forEach(query => {
+            if (queries[query] < MIN_TRENDING_SEARCHES || zeroResults[query] >= queries[query]) delete scores[query];
+        });
+        
+        return top(scores, limit)
+            .map(([query, score]) => ({ query: query, searches: queries[query], score: Math.round(score * 100) / 100 }));
+    }
+
+    // Event totals and play-through rate for each window, plus the top lists for one of them
+    stats({ window = '7d', limit = 10 } = {}, now = Date.now()) {
+        const windows = Object.fromEntries(Object.entries(WINDOWS).map(([name, duration]) => {
+            const { counts } = this.summary(duration, now);
+            return [name, {
+                searches: counts.search || 0,
+                plays: counts.play || 0,
+                completions: counts.complete || 0,
+                queueAdds: counts.queue_add || 0,
+                likes: counts.like || 0,
+                errors: counts.error || 0,
+                playThroughRate: rate(counts.complete || 0, counts.play || 0)
+            }];
+        }));
+        
+        const summary = this.summary(WINDOWS[window], now);
+        
+        return {
+            window: window,
+            windows: windows,
+            topQueries: top(summary.queries, limit).map(([query, count]) => ({ query, count })),
+            zeroResultQueries: top(summary.zeroResults, limit).map(([query, count]) => ({ query, count })),
+            mostPlayed: top(summary.plays, limit).map(([videoId, plays]) => ({
+                videoId: Number(videoId),
+                plays: plays,
+                completions: summary.completions[videoId] || 0,
+                playThroughRate: rate(summary.completions[videoId] || 0, plays)
+            })),
+            errors: top(summary.errors, limit).map(([code, count]) => ({ code, count }))
+        };
+    }
+}
+
+module.exports = { AnalyticsStore, EVENT_TYPES, WINDOWS, MAX_BATCH, checkEvent, normalizeQuery };
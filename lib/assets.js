@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files the pages load with a content hash (?v=), so browsers and the
+// service worker can cache them until they change
+const HASHED_ASSETS = ['/app.js', '/style.css'];
+
+// Files that make up a build, besides the hashed assets
+const BUILD_FILES = ['/index.html', '/sw.js', '/offline.html', '/manifest.json'];
+
+function hashOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// Reads public/ once at startup: the content-hashed asset URLs, the HTML shell
+// that uses them and the service worker with the build version filled in.
+// Restart the server to pick up edited files.
+function createAssets(publicDir, { version } = {}) {
+    const read = file => fs.readFileSync(path.join(publicDir, file));
+    
+    const hashes = {};
+    HASHED_ASSETS.forEach(file => {
+        hashes[file] = hashOf(read(file));
+    });
+    
+    const buildVersion = version || hashOf(
+        Object.values(hashes).join('') + BUILD_FILES.map(file => read(file)).join('')
+    );
+    
+    const url = file => (hashes[file] ? `${file}?v=${hashes[file]}` : file);
+    
+    let html = read('/index.html').toString();
+    HASHED_ASSETS.forEach(file => {
+        html = html.split(`"${file}"`).join(`"${url(file)}"`);
+    });
+    
+    const build = { version: buildVersion, assets: HASHED_ASSETS.map(url) };
+    const serviceWorker = read('/sw.js').toString()
+        .replace(/^const BUILD = .*;$/m, () => `const BUILD = ${JSON.stringify(build)};`);
+    
+    return {
+        version: buildVersion,
+        html: html,
+        serviceWorker: serviceWorker,
+        url: url,
+        
+        // Whether a request names the current version of a hashed asset
+        isCurrent(pathname, hash) {
+            return Boolean(hash) && hashes[pathname] === hash;
+        }
+    };
+}
+
+module.exports = { createAssets, HASHED_ASSETS };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ApiError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+// Passwords are stored as "scrypt$<salt>$<hash>", both hex encoded
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Minimal HS256 JSON Web Tokens: enough for our own sessions, no other algorithms accepted
+function createTokens(secret, { ttl = TOKEN_TTL } = {}) {
+    const sign = data => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    
+    return {
+        sign(user) {
+            const now = Math.floor(Date.now() / 1000);
+            const header = base64url({ alg: 'HS256', typ: 'JWT' });
+            const payload = base64url({ sub: user.id, name: user.username, iat: now, exp: now + ttl });
+            return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+        },
+
+        // Returns the payload, or null for a malformed, forged or expired token
+        verify(token) {
+            const [header, payload, signature] = String(token).split('.');
+            if (!header || !payload || !signature) return null;
+            
+            const expected = Buffer.from(sign(`${header}.${payload}`));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+            
+            try {
+                const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+                const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+                if (alg !== 'HS256' || !claims.sub || claims.exp < Date.now() / 1000) return null;
+                return claims;
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
+
+// Middleware requiring "Authorization: Bearer <token>". Sets req.user to the stored user.
+function requireAuth(tokens, users) {
+    return (req, res, next) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        const claims = scheme === 'Bearer' && token ? tokens.verify(token) : null;
+        const user = claims && users.getUser(claims.sub);
+        
+        if (!user) {
+            return next(new ApiError(401, 'UNAUTHORIZED', 'Sign in to use this endpoint'));
+        }
+
+        req.user = user;
+        next();
+    };
+}
+
+module.exports = { hashPassword, verifyPassword, createTokens, requireAuth };
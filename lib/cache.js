@@ -0,0 +1,286 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Storage adapters. A store only holds values; expiry, LRU order and size
+// accounting are tracked by the Cache itself. Every method may return a promise.
+//   get(key) -> value | undefined
+//   set(key, value)
+//   delete(key)
+//   clear()
+
+class MemoryStore {
+    constructor() {
+        this.data = new Map();
+    }
+
+    get(key) {
+        return this.data.get(key);
+    }
+
+    set(key, value) {
+        this.data.set(key, value);
+    }
+
+    delete(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+// Stores each entry as a JSON file named after a hash of its key. The Cache's
+// index lives in memory, so entries left by a previous process can never be
+// read again; they are removed on start instead of filling the disk.
+class FileStore {
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.ready = this.removeOrphans();
+    }
+
+    async removeOrphans() {
+        await fs.mkdir(this.directory, { recursive: true });
+        const files = await fs.readdir(this.directory);
+        // Only our own files, in case the directory is shared
+        await Promise.all(files
+            .filter(file => /^[0-9a-f]{40}\.json$/.test(file))
+            .map(file => fs.rm(path.join(this.directory, file), { force: true })));
+    }
+
+    file(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async get(key) {
+        await this.ready;
+        try {
+            return JSON.parse(await fs.readFile(this.file(key), 'utf8'));
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    async set(key, value) {
+        await this.ready;
+        await fs.writeFile(this.file(key), JSON.stringify(value));
+    }
+
+    async delete(key) {
+        await fs.rm(this.file(key), { force: true });
+    }
+
+    async clear() {
+        await fs.rm(this.directory, { recursive: true, force: true });
+        this.ready = fs.mkdir(this.directory, { recursive: true });
+        await this.ready;
+    }
+}
+
+// Wraps any Redis-compatible client exposing get/set/del (node-redis, ioredis, ...)
+class RedisStore {
+    constructor(client, prefix = 'freestream:') {
+        this.client = client;
+        this.prefix = prefix;
+        this.keys = new Set();
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        return raw == null ? undefined : JSON.parse(raw);
+    }
+
+    async set(key, value) {
+        this.keys.add(key);
+        await this.client.set(this.prefix + key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.keys.delete(key);
+        await this.client.del(this.prefix + key);
+    }
+
+    async clear() {
+        await Promise.all([...this.keys].map(key => this.delete(key)));
+    }
+}
+
+// Bounded LRU cache with per-entry TTLs and hit/miss/eviction counters.
+// Expired entries are retained for `staleTTL` so callers can serve them
+// while revalidating or when the upstream is failing.
+class Cache {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore();
+        this.maxEntries = options.maxEntries || 500;
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+        this.defaultTTL = options.ttl || 5 * 60 * 1000;
+        this.staleTTL = options.staleTTL ?? 60 * 60 * 1000;
+        
+        // key -> { expiresAt, staleUntil, bytes }, kept in least-recently-used first order
+        this.index = new Map();
+        this.bytes = 0;
+        this.counters = { hits: 0, staleHits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+        
+        if (options.sweepInterval !== 0) {
+            this.sweepTimer = setInterval(() => {
+                this.sweep().catch(error => console.error('Cache sweep failed:', error.message));
+            }, options.sweepInterval || 60 * 1000);
+            this.sweepTimer.unref();
+        }
+    }
+
+    get size() {
+        return this.index.size;
+    }
+
+    // Fresh values only
+    async get(key) {
+        const entry = await this.lookup(key, { allowStale: false });
+        return entry && entry.value;
+    }
+
+    // Entry as { value, stale, expiresAt }. Stale entries are returned unless
+    // allowStale is false; nothing is returned once past the stale window.
+    async lookup(key, { allowStale = true } = {}) {
+        const meta = this.index.get(key);
+        
+        if (!meta) {
+            this.counters.misses++;
+            return undefined;
+        }
+        
+        const now = Date.now();
+        if (meta.staleUntil <= now) {
+            this.counters.misses++;
+            this.counters.expirations++;
+            await this.delete(key);
+            return undefined;
+        }
+        
+        const stale = meta.expiresAt <= now;
+        if (stale && !allowStale) {
+            this.counters.misses++;
+            return undefined;
+        }
+        
+        const value = await this.store.get(key);
+        if (value === undefined) {
+            // The store dropped it behind our back (e.g. Redis eviction)
+            this.counters.misses++;
+            this.forget(key);
+            return undefined;
+        }
+        
+        // Move to the most-recently-used end
+        this.index.delete(key);
+        this.index.set(key, meta);
+        this.counters[stale ? 'staleHits' : 'hits']++;
+        return { value: value, stale: stale, expiresAt: meta.expiresAt };
+    }
+
+    async set(key, value, ttl = this.defaultTTL) {
+        const bytes = Buffer.byteLength(JSON.stringify(value) || '');
+        if (bytes > this.maxBytes) return false;
+        
+        const expiresAt = Date.now() + ttl;
+        this.forget(key);
+        this.index.set(key, { expiresAt: expiresAt, staleUntil: expiresAt + this.staleTTL, bytes: bytes });
+        this.bytes += bytes;
+        this.counters.sets++;
+        await this.store.set(key, value);
+        
+        await this.evict();
+        return true;
+    }
+
+    async delete(key) {
+        this.forget(key);
+        await this.store.delete(key);
+    }
+
+    // Remove every entry whose key starts with the prefix; returns the number removed
+    async deletePrefix(prefix) {
+        const keys = this.keys().filter(key => key.startsWith(prefix));
+        await Promise.all(keys.map(key => this.delete(key)));
+        return keys.length;
+    }
+
+    async clear() {
+        const cleared = this.index.size;
+        this.index.clear();
+        this.bytes = 0;
+        await this.store.clear();
+        return cleared;
+    }
+
+    keys() {
+        return [...this.index.keys()];
+    }
+
+    // Metadata of the entries whose key starts with the prefix, least recently used first
+    entries(prefix = '') {
+        const now = Date.now();
+        return [...this.index]
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, meta]) => ({
+                key: key,
+                bytes: meta.bytes,
+                expiresAt: new Date(meta.expiresAt).toISOString(),
+                stale: meta.expiresAt <= now
+            }));
+    }
+
+    forget(key) {
+        const meta = this.index.get(key);
+        if (meta) {
+            this.bytes -= meta.bytes;
+            this.index.delete(key);
+        }
+    }
+
+    async evict() {
+        while (this.index.size > this.maxEntries || this.bytes > this.maxBytes) {
+            const oldest = this.index.keys().next().value;
+            this.counters.evictions++;
+            await this.delete(oldest);
+        }
+    }
+
+    // Drop entries past their stale window so they don't hold memory until their next read
+    async sweep() {
+        const now = Date.now();
+        for (const [key, meta] of this.index) {
+            if (meta.staleUntil <= now) {
+                this.counters.expirations++;
+                await this.delete(key);
+            }
+        }
+    }
+
+    stats() {
+        const lookups = this.counters.hits + this.counters.staleHits + this.counters.misses;
+        return {
+            ...this.counters,
+            hitRate: lookups ? Number((this.counters.hits / lookups).toFixed(3)) : 0,
+            entries: this.index.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+function createStore(type = 'memory', options = {}) {
+    if (type === 'memory') return new MemoryStore();
+    if (type === 'file') return new FileStore(options.directory || '.cache');
+    if (type === 'redis') {
+        // There is no built-in client: the application has to create one and pass it in
+        if (!options.client) throw new Error('Cache store "redis" needs a client: use createStore(\'redis\', { client }) with a connected Redis client');
+        return new RedisStore(options.client, options.prefix);
+    }
+    throw new Error(`Unknown cache store "${type}". Available: memory, file, redis`);
+}
+
+module.exports = { Cache, MemoryStore, FileStore, RedisStore, createStore };
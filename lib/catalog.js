@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { rules } = require('./validation');
+
+// Search filters a catalog entry may pin, checked with the same rules as /api/search
+const FILTER_RULES = {
+    orientation: rules.orientation,
+    size: rules.size,
+    min_duration: rules.duration,
+    max_duration: rules.duration,
+    locale: rules.locale,
+    min_resolution: rules.resolution
+};
+const FILTER_KEYS = Object.keys(FILTER_RULES);
+
+// Thumbnails are http(s) URLs or paths on this server
+function isThumbnailUrl(value) {
+    if (typeof value !== 'string') return false;
+    if (/^\/(?!\/)/.test(value)) return true;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function normalizeEntry(entry, type, index) {
+    ['id', 'name', 'query'].forEach(field => {
+        if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+            throw new Error(`Catalog ${type}[${index}] is missing "${field}"`);
+        }
+    });
+    if (!/^[\w-]+$/.test(entry.id)) {
+        throw new Error(`Catalog ${type}[${index}] has an invalid id "${entry.id}"`);
+    }
+    
+    if (entry.filters !== undefined && (typeof entry.filters !== 'object' || entry.filters === null || Array.isArray(entry.filters))) {
+        throw new Error(`Catalog ${type} "${entry.id}" filters must be an object`);
+    }
+    
+    const filters = {};
+    Object.entries(entry.filters || {}).forEach(([key, value]) => {
+        if (!FILTER_KEYS.includes(key)) {
+            throw new Error(`Catalog ${type} "${entry.id}" has an unknown filter "${key}"`);
+        }
+        // An empty value leaves the filter unset rather than picking the search default
+        if (value === '') return;
+        try {
+            if (typeof value !== 'string' && typeof value !== 'number') throw new Error('must be a string or a number');
+            const parsed = FILTER_RULES[key](String(value));
+            if (parsed !== undefined) filters[key] = parsed;
+        } catch (error) {
+            throw new Error(`Catalog ${type} "${entry.id}" filter ${key} ${error.message}`);
+        }
+    });
+    
+    if (entry.thumbnail && !isThumbnailUrl(entry.thumbnail)) {
+        throw new Error(`Catalog ${type} "${entry.id}" has an invalid thumbnail URL`);
+    }
+    
+    return {
+        id: entry.id,
+        name: entry.name,
+        description: entry.description || '',
+        icon: entry.icon || 'fas fa-folder',
+        query: entry.query,
+        filters: filters,
+        thumbnail: entry.thumbnail || null
+    };
+}
+
+// Validate and normalise category and collection definitions.
+// Throws on malformed entries with a message naming the entry.
+function parseCatalog(raw) {
+    const catalog = {};
+    
+    ['categories', 'collections'].forEach(type => {
+        if (raw[type] !== undefined && !Array.isArray(raw[type])) {
+            throw new Error(`Catalog "${type}" must be a list`);
+        }
+        const entries = (raw[type] || []).map((entry, index) => normalizeEntry(entry || {}, type, index));
+        const ids = new Set();
+        entries.forEach(entry => {
+            if (ids.has(entry.id)) throw new Error(`Catalog ${type} has a duplicate id "${entry.id}"`);
+            ids.add(entry.id);
+        });
+        catalog[type] = entries;
+    });
+    
+    return catalog;
+}
+
+// Load the category and collection definitions shared by the API and the client.
+// Until the catalog has been edited (and saved to `file`), the shipped defaults are used.
+// Throws on malformed entries so a bad config fails at startup, not per request.
+function loadCatalog(file, defaultsFile = file) {
+    const source = fs.existsSync(file) ? file : defaultsFile;
+    return parseCatalog(JSON.parse(fs.readFileSync(source, 'utf8')));
+}
+
+// Write the catalog back, replacing the file atomically
+async function saveCatalog(file, catalog) {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(catalog, null, 4) + '\n');
+    await fs.promises.rename(temp, file);
+}
+
+module.exports = { loadCatalog, parseCatalog, saveCatalog, FILTER_KEYS };
@@ -0,0 +1,47 @@
+// Content-Security-Policy for the app. No inline scripts, styles or event
+// handlers; external code only from the pinned CDNs index.html uses.
+
+const CDN_SOURCES = ['https://cdn.jsdelivr.net', 'https://cdnjs.cloudflare.com'];
+
+// Thumbnails and the fallback image
+const DEFAULT_IMAGE_HOSTS = ['images.pexels.com'];
+
+// "videos.pexels.com" or "*.vimeocdn.com" to a CSP source
+function toSource(host) {
+    return /^https?:\/\//.test(host) ? host : `https://${host}`;
+}
+
+// Helmet directives. mediaHosts are hosts the player streams from directly
+// (the proxy allowlist); imageHosts are extra hosts thumbnails come from, or a
+// function returning them that is called for every response, for hosts that
+// change at runtime.
+function contentSecurityPolicy({ mediaHosts = [], imageHosts = [], upgradeInsecureRequests = false } = {}) {
+    const hosts = typeof imageHosts === 'function' ? imageHosts : () => imageHosts;
+    const images = () => [...new Set([...DEFAULT_IMAGE_HOSTS, ...hosts()])].map(toSource).join(' ');
+    const media = mediaHosts.map(toSource);
+    
+    return {
+        useDefaults: false,
+        directives: {
+            defaultSrc: ["'self'"],
+            baseUri: ["'self'"],
+            objectSrc: ["'none'"],
+            frameAncestors: ["'self'"],
+            formAction: ["'self'"],
+            scriptSrc: ["'self'", ...CDN_SOURCES],
+            scriptSrcAttr: ["'none'"],
+            styleSrc: ["'self'", ...CDN_SOURCES, 'https://fonts.googleapis.com'],
+            fontSrc: ["'self'", ...CDN_SOURCES, 'https://fonts.gstatic.com'],
+            // data: for the inline SVG favicon, blob: for thumbnails of offline videos
+            imgSrc: ["'self'", 'data:', 'blob:', images],
+            mediaSrc: ["'self'", 'blob:', ...media],
+            // Offline downloads fetch thumbnails; the service worker precaches the CDN files
+            connectSrc: ["'self'", images, ...CDN_SOURCES, 'https://fonts.gstatic.com'],
+            workerSrc: ["'self'"],
+            manifestSrc: ["'self'"],
+            ...(upgradeInsecureRequests && { upgradeInsecureRequests: [] })
+        }
+    };
+}
+
+module.exports = { contentSecurityPolicy };
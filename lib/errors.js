@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { RateLimitError, UpstreamUnavailableError } = require('../providers/errors');
+
+// Error carrying the HTTP status and machine-readable code sent to the client
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Map anything thrown by a route, provider or middleware to an ApiError.
+// Upstream response bodies are never passed through to the client.
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    
+    if (error instanceof RateLimitError) {
+        const apiError = new ApiError(429, 'RATE_LIMITED', 'Video provider rate limit reached');
+        apiError.retryAfter = error.retryAfter;
+        return apiError;
+    }
+    if (error instanceof UpstreamUnavailableError) {
+        const apiError = new ApiError(503, 'UPSTREAM_UNAVAILABLE', 'Video provider is temporarily unavailable');
+        apiError.retryAfter = error.retryAfter;
+        return apiError;
+    }
+    
+    // Axios errors from the provider
+    if (error.isAxiosError) {
+        const status = error.response?.status;
+        if (status === 404) return new ApiError(404, 'NOT_FOUND', 'Resource not found');
+        if (!error.response) return new ApiError(502, 'UPSTREAM_UNREACHABLE', 'Could not reach the video provider');
+        return new ApiError(502, 'UPSTREAM_ERROR', 'Video provider returned an error');
+    }
+    
+    // Errors from providers and Express middleware that carry their own status
+    const status = error.status || error.statusCode;
+    if (status === 404) return new ApiError(404, 'NOT_FOUND', error.message || 'Resource not found');
+    if (error.type === 'entity.parse.failed') return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    if (status >= 400 && status < 500) {
+        return new ApiError(status, error.code || 'BAD_REQUEST', error.expose !== false ? error.message : 'Bad request');
+    }
+    
+    return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+// Tag every request with an id, echoed in X-Request-Id and in error bodies
+function requestId(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+// Forward rejections from async route handlers to the error middleware
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Single error envelope: { error: { code, message, requestId, ... } }
+function errorHandler(err, req, res, next) {
+    const apiError = toApiError(err);
+    
+    if (apiError.status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err.stack || err.message);
+    }
+    if (res.headersSent) return res.destroy();
+    if (apiError.retryAfter) res.set('Retry-After', String(apiError.retryAfter));
+    
+    res.status(apiError.status).json({
+        error: {
+            code: apiError.code,
+            message: apiError.message,
+            requestId: req.id,
+            ...(apiError.details && { details: apiError.details }),
+            ...(apiError.retryAfter && { retryAfter: apiError.retryAfter })
+        }
+    });
+}
+
+module.exports = { ApiError, toApiError, requestId, asyncHandler, errorHandler };
@@ -0,0 +1,114 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { ApiError } = require('./errors');
+
+// Media hosts the video proxy may fetch from unless PROXY_ALLOWED_HOSTS says otherwise
+const DEFAULT_ALLOWED_HOSTS = ['videos.pexels.com', 'player.vimeo.com', '*.vimeocdn.com'];
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024; // 1 GB
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and documentation ranges
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+class ProxyError extends ApiError {
+    constructor(status, code, message) {
+        super(status, code, message);
+        this.name = 'ProxyError';
+    }
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) return blockedRanges.check(address, 'ipv4');
+    if (family !== 6) return true;
+    
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedRanges.check(mapped[1], 'ipv4');
+    
+    return blockedRanges.check(address, 'ipv6');
+}
+
+function parseHostList(value) {
+    if (!value) return DEFAULT_ALLOWED_HOSTS;
+    return value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Supports exact hosts and "*.example.com" wildcards (which do not match example.com itself)
+function isHostAllowed(hostname, allowedHosts) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return allowedHosts.some(pattern => {
+        if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+        return host === pattern;
+    });
+}
+
+// Options: allowedHosts (comma-separated), maxBytes, allowPrivateNetworks.
+// resolve (hostname -> [{ address, family }]) and isBlocked (address -> boolean)
+// default to DNS and isPrivateAddress; tests replace them to reach a stub upstream.
+function createProxyGuard(options = {}) {
+    const allowedHosts = parseHostList(options.allowedHosts);
+    const maxBytes = Number(options.maxBytes) || DEFAULT_MAX_BYTES;
+    const allowPrivate = options.allowPrivateNetworks === true;
+    const resolve = options.resolve || (hostname => dns.lookup(hostname, { all: true }));
+    const isBlocked = options.isBlocked || isPrivateAddress;
+    
+    function checkAddress(address) {
+        if (!allowPrivate && isBlocked(address)) {
+            throw new ProxyError(403, 'ADDRESS_NOT_ALLOWED', 'URL resolves to a private or reserved address');
+        }
+    }
+    
+    // Validates a URL before each hop, including every redirect target
+    function validateUrl(value, base) {
+        let url;
+        try {
+            url = new URL(value, base);
+        } catch (error) {
+            throw new ProxyError(400, 'INVALID_URL', 'URL is not valid');
+        }
+        
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new ProxyError(400, 'INVALID_URL', 'Only http and https URLs can be proxied');
+        }
+        if (url.username || url.password) {
+            throw new ProxyError(400, 'INVALID_URL', 'URLs with credentials cannot be proxied');
+        }
+        
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (!isHostAllowed(hostname, allowedHosts)) {
+            throw new ProxyError(403, 'HOST_NOT_ALLOWED', `Host "${hostname}" is not an allowed media host`);
+        }
+        if (net.isIP(hostname)) checkAddress(hostname);
+        
+        return url;
+    }
+    
+    // DNS lookup used for the upstream connection itself, so a host cannot pass
+    // validation and then re-resolve to an internal address (DNS rebinding)
+    async function lookup(hostname) {
+        let addresses;
+        try {
+            addresses = await resolve(hostname);
+        } catch (error) {
+            throw new ProxyError(502, 'DNS_LOOKUP_FAILED', `Could not resolve host "${hostname}"`);
+        }
+        
+        addresses.forEach(({ address }) => checkAddress(address));
+        return addresses;
+    }
+    
+    return { allowedHosts, maxBytes, maxRedirects: MAX_REDIRECTS, validateUrl, lookup };
+}
+
+module.exports = { createProxyGuard, isPrivateAddress, isHostAllowed, ProxyError };
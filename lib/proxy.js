@@ -0,0 +1,115 @@
+const axios = require('axios');
+const { ApiError } = require('./errors');
+const { ProxyError } = require('./proxy-guard');
+
+// Headers passed through from the upstream media server
+const PROXY_RESPONSE_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'accept-ranges',
+    'etag',
+    'last-modified',
+    'cache-control'
+];
+
+// Route handler streaming a video through the server (to avoid CORS).
+// Supports Range requests and HEAD so the player can seek without downloading the whole file.
+// Only hosts the guard allows are fetched, and redirects are validated hop by hop.
+// Expects the target URL in req.valid.url.
+function createVideoProxy(proxyGuard) {
+    return async function proxyVideo(req, res, next) {
+        const controller = new AbortController();
+        
+        try {
+            const { url } = req.valid;
+            
+            const headers = {
+                'Referer': 'https://www.pexels.com/',
+                'User-Agent': 'FreeVideoStreamer/1.0'
+            };
+            if (req.headers.range) headers['Range'] = req.headers.range;
+            if (req.headers['if-range']) headers['If-Range'] = req.headers['if-range'];
+            
+            // Stop the upstream download when the player aborts, e.g. after seeking
+            res.on('close', () => controller.abort());
+            
+            let target = proxyGuard.validateUrl(url);
+            let response;
+            
+            for (let redirects = 0; ; redirects++) {
+                response = await axios.request({
+                    url: target.href,
+                    method: req.method === 'HEAD' ? 'head' : 'get',
+                    responseType: 'stream',
+                    headers: headers,
+                    signal: controller.signal,
+                    decompress: false,
+                    maxRedirects: 0,
+                    lookup: proxyGuard.lookup,
+                    validateStatus: status => status === 200 || status === 206 || status === 416
+                        || (status >= 300 && status < 400)
+                });
+                
+                if (response.status < 300 || response.status >= 400) break;
+                
+                response.data.destroy();
+                if (redirects >= proxyGuard.maxRedirects) {
+                    throw new ProxyError(502, 'TOO_MANY_REDIRECTS', 'Upstream redirected too many times');
+                }
+                if (!response.headers.location) {
+                    throw new ProxyError(502, 'BAD_REDIRECT', 'Upstream redirect has no location');
+                }
+                target = proxyGuard.validateUrl(response.headers.location, target);
+            }
+            
+            const contentLength = Number(response.headers['content-length']);
+            if (contentLength > proxyGuard.maxBytes) {
+                response.data.destroy();
+                throw new ProxyError(413, 'RESPONSE_TOO_LARGE', 'Upstream response exceeds the proxy size limit');
+            }
+            
+            res.status(response.status);
+            PROXY_RESPONSE_HEADERS.forEach(header => {
+                if (response.headers[header] !== undefined) {
+                    res.setHeader(header, response.headers[header]);
+                }
+            });
+            if (!response.headers['accept-ranges']) {
+                res.setHeader('Accept-Ranges', response.status === 206 ? 'bytes' : 'none');
+            }
+            
+            if (req.method === 'HEAD' || response.status === 416) {
+                response.data.destroy();
+                return res.end();
+            }
+            
+            // Enforce the size limit on the body too, in case Content-Length was missing or wrong
+            let received = 0;
+            response.data.on('data', chunk => {
+                received += chunk.length;
+                if (received > proxyGuard.maxBytes) {
+                    console.error('Proxy error: upstream response exceeded size limit');
+                    response.data.destroy();
+                    res.destroy();
+                }
+            });
+            
+            response.data.pipe(res);
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            
+            // Guard errors raised inside the DNS lookup arrive wrapped by axios
+            const proxyError = error instanceof ProxyError ? error : error.cause;
+            if (proxyError instanceof ProxyError) {
+                console.warn(`Proxy rejected: ${proxyError.code} (${proxyError.message})`);
+                return next(proxyError);
+            }
+            
+            console.error('Proxy error:', error.message);
+            next(new ApiError(502, 'UPSTREAM_ERROR', 'Failed to proxy video'));
+        }
+    };
+}
+
+module.exports = { createVideoProxy, PROXY_RESPONSE_HEADERS };
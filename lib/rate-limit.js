@@ -0,0 +1,33 @@
+const { ApiError } = require('./errors');
+
+// Middleware allowing each client (by IP address) `max` requests per `windowMs`.
+// Counts live in memory and are dropped when their window ends; over the limit
+// the request fails with 429 and Retry-After.
+function rateLimit({ windowMs = 60 * 1000, max = 20, maxClients = 10000 } = {}) {
+    // client -> { count, resetAt }, oldest window first
+    const clients = new Map();
+    
+    return (req, res, next) => {
+        const now = Date.now();
+        for (const [client, entry] of clients) {
+            if (entry.resetAt > now && clients.size < maxClients) break;
+            clients.delete(client);
+        }
+        
+        let entry = clients.get(req.ip);
+        if (!entry) {
+            entry = { count: 0, resetAt: now + windowMs };
+            clients.set(req.ip, entry);
+        }
+        
+        entry.count++;
+        if (entry.count > max) {
+            const error = new ApiError(429, 'TOO_MANY_REQUESTS', 'Too many requests, slow down');
+            error.retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            return next(error);
+        }
+        next();
+    };
+}
+
+module.exports = { rateLimit };
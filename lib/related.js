@@ -0,0 +1,74 @@
+// Words that carry no meaning in Pexels URL slugs and titles
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+    'of', 'on', 'or', 'the', 'to', 'with', 'video', 'footage', 'clip', 'stock', 'free', 'view',
+    'shot', 'close', 'up', 'person', 'someone', 'while', 'over', 'during', 'near', 'its', 'their'
+]);
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// The last path segment of a Pexels URL, e.g. /video/aerial-view-of-a-resort-2169880/
+function slugWords(url) {
+    if (!url) return [];
+    const segments = String(url).split(/[?#]/)[0].split('/').filter(Boolean);
+    return tokenize(segments[segments.length - 1].replace(/\.\w+$/, ''));
+}
+
+// Keywords describing what a video shows, most specific first: tags, then
+// title, then URL slug. The contributor is left out; it's a ranking signal only.
+function extractKeywords(video, limit = 4) {
+    const words = [
+        ...(video.tags || []).flatMap(tag => tokenize(typeof tag === 'string' ? tag : tag.name)),
+        ...tokenize(video.title),
+        ...slugWords(video.url)
+    ];
+    return [...new Set(words)].slice(0, limit);
+}
+
+// 1 when equal, approaching 0 as the values diverge
+function ratio(a, b) {
+    if (!a || !b) return 0;
+    return Math.min(a, b) / Math.max(a, b);
+}
+
+// Points for a perfect match on each signal. Keywords are scored by the share
+// of the source's keywords a candidate has, so one keyword more or less can be
+// outweighed by a very different resolution or length.
+const WEIGHTS = { keywords: 4, contributor: 1, resolution: 1.5, duration: 1.5 };
+
+// Resolution by the short side, so 1080p against 720p is 2/3 in either orientation
+function shortSide(video) {
+    return Math.min(video.width || 0, video.height || 0);
+}
+
+// Score candidates against the source video and return the best first
+function rankRelated(video, candidates, keywords, exclude = []) {
+    const excluded = new Set([video.id, ...exclude].map(String));
+    const seen = new Set();
+    
+    return candidates
+        .filter(candidate => {
+            const id = String(candidate.id);
+            if (excluded.has(id) || seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .map(candidate => {
+            const words = new Set(extractKeywords(candidate, 20));
+            const overlap = keywords.filter(word => words.has(word)).length;
+            const score = WEIGHTS.keywords * (keywords.length ? overlap / keywords.length : 0)
+                + WEIGHTS.contributor * (candidate.user?.id && candidate.user.id === video.user?.id ? 1 : 0)
+                + WEIGHTS.resolution * ratio(shortSide(candidate), shortSide(video))
+                + WEIGHTS.duration * ratio(candidate.duration, video.duration);
+            return { candidate, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .map(({ candidate }) => candidate);
+}
+
+module.exports = { extractKeywords, rankRelated, tokenize };
@@ -0,0 +1,119 @@
+// Page metadata for link previews and search engines: Open Graph, Twitter
+// cards, schema.org VideoObject and sitemaps. Everything here returns strings.
+
+const SITE_NAME = 'FreeViD';
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The provider's title if it has one, otherwise the client's "Video by …" wording
+function videoTitle(video) {
+    if (video.title) return video.title;
+    return video.user?.name ? `Video by ${video.user.name}` : 'Free Video';
+}
+
+function videoDescription(video) {
+    const by = video.user?.name ? `Video by ${video.user.name}` : 'Free stock video';
+    const tags = (video.tags || []).slice(0, 5).join(', ');
+    return `${by} on ${SITE_NAME}${tags ? `: ${tags}` : ''}. Watch and download for free.`;
+}
+
+// ISO 8601 duration, e.g. PT1M5S
+function isoDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const minutes = Math.floor(total / 60);
+    return `PT${minutes ? `${minutes}M` : ''}${total % 60}S`;
+}
+
+// Largest playable file, for players that embed the video itself
+function bestFile(video) {
+    return (video.video_files || [])
+        .filter(file => file.link && (!file.file_type || file.file_type.startsWith('video/')))
+        .sort((a, b) => (b.width * b.height || 0) - (a.width * a.height || 0))[0] || null;
+}
+
+function absolute(link, baseUrl) {
+    return link ? new URL(link, baseUrl).href : null;
+}
+
+// <head> tags for /watch/:id. pageUrl is absolute and becomes the canonical URL.
+function watchPageHead(video, { baseUrl, pageUrl }) {
+    const title = `${videoTitle(video)} - ${SITE_NAME}`;
+    const description = videoDescription(video);
+    const image = absolute(video.image || video.video_pictures?.[0]?.picture, baseUrl);
+    const file = bestFile(video);
+    const fileUrl = file && absolute(file.link, baseUrl);
+    
+    const meta = [
+        ['name', 'description', description],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:type', 'video.other'],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', pageUrl],
+        ['property', 'og:image', image],
+        ['property', 'og:video', fileUrl],
+        ['property', 'og:video:type', file && (file.file_type || 'video/mp4')],
+        ['property', 'og:video:width', file?.width],
+        ['property', 'og:video:height', file?.height],
+        ['property', 'video:duration', video.duration],
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+    ].filter(([, , content]) => content !== null && content !== undefined && content !== '');
+    
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'VideoObject',
+        name: videoTitle(video),
+        description: description,
+        thumbnailUrl: image ? [image] : undefined,
+        duration: isoDuration(video.duration),
+        contentUrl: fileUrl || undefined,
+        width: video.width || undefined,
+        height: video.height || undefined,
+        keywords: video.tags?.length ? video.tags.join(', ') : undefined,
+        author: video.user?.name ? { '@type': 'Person', name: video.user.name, url: video.user.url || undefined } : undefined,
+        url: pageUrl
+    };
+    
+    return [
+        `<title>${escapeHtml(title)}</title>`,
+        `<link rel="canonical" href="${escapeHtml(pageUrl)}">`,
+        ...meta.map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`),
+        // "<" is escaped so a value can't close the script element
+        `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`
+    ].join('\n    ');
+}
+
+// Replace the shell's <title> with page-specific head tags
+function injectHead(html, head) {
+    return html.replace(/<title>[\s\S]*?<\/title>/, () => head);
+}
+
+// XML sitemap. entries: [{ loc, lastmod?, changefreq?, priority? }]
+function sitemap(entries) {
+    const urls = entries.map(entry => {
+        const fields = ['loc', 'lastmod', 'changefreq', 'priority']
+            .filter(field => entry[field] !== undefined)
+            .map(field => `<${field}>${escapeHtml(entry[field])}</${field}>`);
+        return `  <url>${fields.join('')}</url>`;
+    });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { escapeHtml, videoTitle, watchPageHead, injectHead, sitemap };
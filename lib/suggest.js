@@ -0,0 +1,123 @@
+const fs = require('fs');
+
+// Match kinds, best first. Fuzzy matches need four letters and allow one typo, two in longer queries.
+const SCORES = { exact: 100, prefix: 80, word: 60, substring: 40, fuzzy: 20 };
+// Preferred when the same text comes from several sources
+const SOURCE_BONUS = { category: 8, collection: 8, popular: 0, keyword: 0 };
+
+// Lower-case text without accents ("Café" -> "cafe"), with the position in the
+// original text of every folded character so matches can be highlighted there.
+function fold(text) {
+    let folded = '';
+    const positions = [];
+    let offset = 0;
+    
+    for (const char of String(text)) {
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (let i = 0; i < plain.length; i++) positions.push(offset);
+        folded += plain;
+        offset += char.length;
+    }
+    positions.push(offset);
+    return { folded, positions };
+}
+
+// Edit distance counting a swap of two neighbouring letters as one edit
+function distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Best way query matches text: { kind, start, end, edits? } in folded
+// positions, or null. Fuzzy matching compares the query against the text
+// from each word start, so "ocen" finds "ocean waves" and "sunst" finds "ocean sunset".
+function match(query, text) {
+    if (text === query) return { kind: 'exact', start: 0, end: text.length };
+    if (text.startsWith(query)) return { kind: 'prefix', start: 0, end: query.length };
+    
+    const starts = [0];
+    for (let i = 1; i < text.length; i++) {
+        if (text[i - 1] === ' ') starts.push(i);
+    }
+    
+    const word = starts.find(start => text.startsWith(query, start));
+    if (word !== undefined) return { kind: 'word', start: word, end: word + query.length };
+    if (query.length < 3) return null;
+    
+    const index = text.indexOf(query);
+    if (index !== -1) return { kind: 'substring', start: index, end: index + query.length };
+    if (query.length < 4) return null;
+    
+    const allowed = query.length >= 6 ? 2 : 1;
+    let best = null;
+    starts.forEach(start => {
+        // Longest first, so a missing letter highlights the whole word
+        [query.length + 1, query.length, query.length - 1].forEach(length => {
+            if (start + length > text.length) return;
+            const edits = distance(query, text.slice(start, start + length));
+            if (edits <= allowed && (!best || edits < best.edits)) {
+                best = { kind: 'fuzzy', start: start, end: start + length, edits: edits };
+            }
+        });
+    });
+    return best;
+}
+
+// Rank candidates ({ text, type, id?, weight? }) against what the user typed.
+// Returns up to `limit` suggestions, each with the [start, end) range of text that matched.
+function suggest(query, candidates, limit = 8) {
+    const needle = fold(query).folded.trim().replace(/\s+/g, ' ');
+    if (!needle) return [];
+    
+    const best = new Map();
+    candidates.forEach(candidate => {
+        const { folded, positions } = fold(candidate.text);
+        const found = match(needle, folded);
+        if (!found) return;
+        
+        const score = SCORES[found.kind] - (found.edits || 0) * 5
+            + SOURCE_BONUS[candidate.type]
+            + Math.min(candidate.weight || 0, 10) / 2;
+        const existing = best.get(folded);
+        if (existing && existing.score >= score) return;
+        
+        best.set(folded, {
+            score: score,
+            suggestion: {
+                text: candidate.text,
+                type: candidate.type,
+                ...(candidate.id && { id: candidate.id }),
+                highlight: [positions[found.start], positions[found.end]]
+            }
+        });
+    });
+    
+    return [...best.values()]
+        .sort((a, b) => b.score - a.score
+            || a.suggestion.text.length - b.suggestion.text.length
+            || a.suggestion.text.localeCompare(b.suggestion.text))
+        .slice(0, limit)
+        .map(entry => entry.suggestion);
+}
+
+// The curated keyword list: a JSON array of search terms
+function loadKeywords(file) {
+    const keywords = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+        throw new Error(`${file} must be a list of search terms`);
+    }
+    return [...new Set(keywords.map(keyword => keyword.trim()))];
+}
+
+module.exports = { suggest, loadKeywords, fold, distance };
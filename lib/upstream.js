@@ -0,0 +1,95 @@
+const { toApiError } = require('./errors');
+
+// How long past expiry a cached response is served immediately while a
+// background refresh runs. Older entries (up to the cache's stale window) are
+// only used when the refresh fails, e.g. on a 429 from upstream.
+const STALE_WHILE_REVALIDATE = 60 * 1000; // 1 minute
+
+// Cached, coalesced access to the video provider.
+// `ttls` gives the cache lifetime per provider method.
+function createUpstream({ provider, cache, ttls = {}, staleWhileRevalidate = STALE_WHILE_REVALIDATE }) {
+    // Upstream calls in flight, keyed by cache key, so concurrent requests share one call
+    const inflight = new Map();
+    const counters = { requests: 0, coalesced: 0, staleServed: 0, backgroundRefreshes: 0, errors: 0 };
+    const errors = { byStatus: {}, last: null };
+    
+    function fetchUpstream(cacheKey, ttl, method, args) {
+        if (inflight.has(cacheKey)) {
+            counters.coalesced++;
+            return inflight.get(cacheKey);
+        }
+        
+        counters.requests++;
+        const request = provider[method](...args)
+            .then(async data => {
+                await cache.set(cacheKey, data, ttl);
+                return data;
+            })
+            .catch(error => {
+                const { status, code } = toApiError(error);
+                counters.errors++;
+                errors.byStatus[status] = (errors.byStatus[status] || 0) + 1;
+                errors.last = { method: method, status: status, code: code, message: error.message, at: new Date().toISOString() };
+                throw error;
+            })
+            .finally(() => inflight.delete(cacheKey));
+        
+        inflight.set(cacheKey, request);
+        return request;
+    }
+    
+    // Cached, coalesced provider call with stale fallbacks
+    async function cachedRequest(cacheKey, ttl, method, args) {
+        const cached = await cache.lookup(cacheKey);
+        
+        if (cached && !cached.stale) {
+            console.log(`Cache hit for: ${method}`);
+            return cached.value;
+        }
+        
+        if (cached && Date.now() - cached.expiresAt < staleWhileRevalidate) {
+            if (!inflight.has(cacheKey)) counters.backgroundRefreshes++;
+            fetchUpstream(cacheKey, ttl, method, args).catch(error => {
+                console.warn(`Background refresh failed for ${method}:`, error.message);
+            });
+            counters.staleServed++;
+            return cached.value;
+        }
+        
+        try {
+            return await fetchUpstream(cacheKey, ttl, method, args);
+        } catch (error) {
+            if (cached) {
+                console.warn(`Serving stale ${method} after upstream error:`, error.message);
+                counters.staleServed++;
+                return cached.value;
+            }
+            throw error;
+        }
+    }
+    
+    // Cached provider call keyed by method and arguments
+    function providerRequest(method, ...args) {
+        return cachedRequest(`${method}_${JSON.stringify(args)}`, ttls[method], method, args);
+    }
+    
+    return {
+        fetchUpstream,
+        cachedRequest,
+        providerRequest,
+        
+        // Counters for /api/health
+        stats: () => ({ ...counters, inflight: inflight.size }),
+        
+        // Counters plus error details for the admin dashboard
+        summary: () => ({
+            ...counters,
+            errorRate: counters.requests ? Number((counters.errors / counters.requests).toFixed(3)) : 0,
+            errorsByStatus: errors.byStatus,
+            lastError: errors.last,
+            inflight: inflight.size
+        })
+    };
+}
+
+module.exports = { createUpstream, STALE_WHILE_REVALIDATE };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+// Per-user collections the client can sync
+const SYNC_COLLECTIONS = ['likes', 'saves', 'history', 'searches', 'queue', 'playlists'];
+
+const MAX_RECORDS = 1000;
+// Deleted records are kept this long so other devices learn about the deletion
+const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+
+// Check a record sent by a client: { id, updatedAt, deleted?, data? }.
+// Returns an error message, or null when the record is fine.
+function checkRecord(record) {
+    if (!record || typeof record !== 'object') return 'must be an object';
+    if (typeof record.id !== 'string' || !record.id || record.id.length > 200) return 'id must be a non-empty string';
+    if (!Number.isFinite(record.updatedAt) || record.updatedAt < 0) return 'updatedAt must be a timestamp in milliseconds';
+    if (!record.deleted && (typeof record.data !== 'object' || record.data === null)) return 'data must be an object';
+    return null;
+}
+
+// Last-writer-wins merge per record. A deletion is a record with deleted: true,
+// so it only wins over edits made before it. Returns how many records changed.
+// `items` is keyed by ids the client chose, so it must be a null-prototype object.
+function mergeRecords(items, incoming, now = Date.now()) {
+    let changed = 0;
+    
+    incoming.forEach(record => {
+        const existing = items[record.id];
+        if (existing && existing.updatedAt >= record.updatedAt) return;
+        
+        items[record.id] = record.deleted
+            ? { id: record.id, updatedAt: record.updatedAt, deleted: true }
+            : { id: record.id, updatedAt: record.updatedAt, data: record.data };
+        changed++;
+    });
+    
+    Object.values(items).forEach(record => {
+        if (record.deleted && now - record.updatedAt > TOMBSTONE_TTL) delete items[record.id];
+    });
+    
+    return changed;
+}
+
+// Users and their synced collections, kept in a single JSON file. Reads are
+// served from memory; writes are serialized and replace the file atomically.
+class UserStore {
+    constructor(file) {
+        this.file = path.resolve(file);
+        this.data = { users: [], collections: {} };
+        this.writing = Promise.resolve();
+        
+        if (fs.existsSync(this.file)) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            // Record ids come from clients: keep "__proto__" or "constructor" ordinary keys
+            Object.values(this.data.collections).forEach(collections => {
+                Object.values(collections).forEach(collection => {
+                    collection.items = Object.assign(Object.create(null), collection.items);
+                });
+            });
+        }
+    }
+
+    save() {
+        const snapshot = JSON.stringify(this.data);
+        const temp = `${this.file}.${process.pid}.tmp`;
+        
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(temp, snapshot, { mode: 0o600 });
+                await fs.promises.rename(temp, this.file);
+            });
+        return this.writing;
+    }
+
+    getUser(id) {
+        return this.data.users.find(user => user.id === id) || null;
+    }
+
+    findByUsername(username) {
+        const name = username.toLowerCase();
+        return this.data.users.find(user => user.username.toLowerCase() === name) || null;
+    }
+
+    // Checks and inserts in one synchronous step, so of two concurrent
+    // registrations for the same name only the first succeeds
+    async createUser(username, passwordHash) {
+        if (this.findByUsername(username)) {
+            throw new ApiError(409, 'USERNAME_TAKEN', 'That username is already taken');
+        }
+        
+        const user = {
+            id: crypto.randomUUID(),
+            username: username,
+            passwordHash: passwordHash,
+            createdAt: new Date().toISOString()
+        };
+        this.data.users.push(user);
+        await this.save();
+        return user;
+    }
+
+    collection(userId, name) {
+        const collections = this.data.collections[userId] || (this.data.collections[userId] = {});
+        return collections[name] || (collections[name] = { version: 0, items: Object.create(null) });
+    }
+
+    // Merge records from a client and return the collection as stored
+    async sync(userId, name, records) {
+        const collection = this.collection(userId, name);
+        
+        const added = new Set(records.filter(record => !collection.items[record.id]).map(record => record.id));
+        if (Object.keys(collection.items).length + added.size > MAX_RECORDS) {
+            throw new ApiError(413, 'COLLECTION_FULL', `A collection holds at most ${MAX_RECORDS} records`);
+        }
+
+        const changed = mergeRecords(collection.items, records);
+        if (changed > 0) {
+            collection.version++;
+            await this.save();
+        }
+        return collection;
+    }
+}
+
+module.exports = { UserStore, SYNC_COLLECTIONS, MAX_RECORDS, checkRecord, mergeRecords };
@@ -0,0 +1,132 @@
+const { ApiError } = require('./errors');
+
+// Thrown by rules; turned into a 400 response by validate()
+class InvalidParameter extends Error {}
+
+function invalid(message) {
+    throw new InvalidParameter(message);
+}
+
+// Parameter rules. Each returns a function that converts a raw string to a
+// value or calls invalid() with a message describing the problem.
+
+function integer({ min = -Infinity, max = Infinity, defaultValue } = {}) {
+    return value => {
+        if (value === undefined || value === '') {
+            if (defaultValue !== undefined) return defaultValue;
+            invalid('is required');
+        }
+        if (!/^-?\d+$/.test(String(value))) invalid('must be an integer');
+        
+        const number = Number(value);
+        if (number < min || number > max) {
+            invalid(max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+        }
+        return number;
+    };
+}
+
+function oneOf(values, { defaultValue } = {}) {
+    return value => {
+        if (value === undefined || value === '') {
+            if (defaultValue !== undefined) return defaultValue;
+            invalid('is required');
+        }
+        if (!values.includes(value)) invalid(`must be one of: ${values.join(', ')}`);
+        return value;
+    };
+}
+
+// Comma-separated list of positive integer ids, e.g. "12,34"
+function idList({ maxItems = 50 } = {}) {
+    return value => {
+        if (value === undefined || value === '') return [];
+        
+        const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+        if (ids.length > maxItems) invalid(`must list at most ${maxItems} ids`);
+        if (ids.some(id => !/^\d+$/.test(id))) invalid('must be a comma-separated list of numeric ids');
+        return ids.map(Number);
+    };
+}
+
+function string({ required = true, maxLength = 100, pattern, defaultValue } = {}) {
+    return value => {
+        const trimmed = typeof value === 'string' ? value.trim() : '';
+        if (!trimmed) {
+            if (defaultValue !== undefined || !required) return defaultValue;
+            invalid('is required');
+        }
+        if (trimmed.length > maxLength) invalid(`must be at most ${maxLength} characters`);
+        if (pattern && !pattern.test(trimmed)) invalid('contains invalid characters');
+        return trimmed;
+    };
+}
+
+// Middleware validating req.params, req.query and req.body against a schema of rules.
+// Parsed values are exposed on req.valid.
+function validate(schema) {
+    return (req, res, next) => {
+        const valid = {};
+        const errors = [];
+        
+        ['params', 'query', 'body'].forEach(source => {
+            Object.entries(schema[source] || {}).forEach(([name, rule]) => {
+                const raw = req[source]?.[name];
+                try {
+                    if (Array.isArray(raw)) invalid('must only be given once');
+                    const value = rule(raw);
+                    if (value !== undefined) valid[name] = value;
+                } catch (error) {
+                    if (!(error instanceof InvalidParameter)) throw error;
+                    errors.push({ param: name, message: `${name} ${error.message}` });
+                }
+            });
+        });
+        
+        if (errors.length > 0) {
+            return next(new ApiError(400, 'INVALID_PARAMETER', errors[0].message, errors));
+        }
+        
+        req.valid = valid;
+        next();
+    };
+}
+
+// Locales supported by the Pexels search endpoint
+const LOCALES = [
+    'en-US', 'pt-BR', 'es-ES', 'ca-ES', 'de-DE', 'it-IT', 'fr-FR', 'sv-SE', 'id-ID', 'pl-PL',
+    'ja-JP', 'zh-TW', 'zh-CN', 'ko-KR', 'th-TH', 'nl-NL', 'hu-HU', 'vi-VN', 'cs-CZ', 'da-DK',
+    'fi-FI', 'uk-UA', 'el-GR', 'ro-RO', 'nb-NO', 'sk-SK', 'tr-TR', 'ru-RU'
+];
+
+// Passwords are taken as typed: no trimming, any characters
+function password({ minLength = 8, maxLength = 200 } = {}) {
+    return value => {
+        if (typeof value !== 'string' || value === '') invalid('is required');
+        if (value.length < minLength) invalid(`must be at least ${minLength} characters`);
+        if (value.length > maxLength) invalid(`must be at most ${maxLength} characters`);
+        return value;
+    };
+}
+
+function optional(rule) {
+    return value => (value === undefined || value === '' ? undefined : rule(value));
+}
+
+// Shared rules for the video routes
+const rules = {
+    page: integer({ min: 1, max: 1000, defaultValue: 1 }),
+    perPage: integer({ min: 1, max: 80, defaultValue: 15 }),
+    orientation: oneOf(['landscape', 'portrait', 'square'], { defaultValue: 'landscape' }),
+    size: oneOf(['large', 'medium', 'small'], { defaultValue: 'medium' }),
+    duration: optional(integer({ min: 0, max: 3600 })),
+    locale: optional(oneOf(LOCALES)),
+    resolution: optional(integer({ min: 1, max: 4320 })),
+    videoId: integer({ min: 1 }),
+    slug: string({ maxLength: 50, pattern: /^[\w -]+$/ }),
+    query: string({ maxLength: 100 }),
+    username: string({ maxLength: 32, pattern: /^[\w.-]{3,}$/ }),
+    password: password()
+};
+
+module.exports = { validate, integer, oneOf, string, password, optional, idList, rules, LOCALES };
@@ -0,0 +1,21 @@
+// Raised when the upstream provider refuses requests because the quota is used up
+class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Raised when the upstream provider keeps failing after retries
+class UpstreamUnavailableError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'UpstreamUnavailableError';
+        this.status = 503;
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = { RateLimitError, UpstreamUnavailableError };
@@ -0,0 +1,28 @@
+const PexelsProvider = require('./pexels');
+const LocalLibraryProvider = require('./local');
+const { RateLimitError, UpstreamUnavailableError } = require('./errors');
+
+// Every provider implements the same interface:
+//   search(params), popular(params), getVideo(id), collection(id, params)
+// and resolves with Pexels-shaped response objects. getQuota() reports the
+// upstream rate limit, or null when the provider has none.
+const providers = {
+    pexels: PexelsProvider,
+    local: LocalLibraryProvider
+};
+
+function createProvider(name = 'pexels', options = {}) {
+    const Provider = providers[name.toLowerCase()];
+    if (!Provider) {
+        throw new Error(`Unknown video provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    createProvider,
+    PexelsProvider,
+    LocalLibraryProvider,
+    RateLimitError,
+    UpstreamUnavailableError
+};
@@ -0,0 +1,144 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File-backed video provider. Reads metadata from <dir>/library.json and serves
+// the referenced MP4s and thumbnails from the same directory, so the app can run
+// without network access or an API key.
+class LocalLibraryProvider {
+    constructor(options = {}) {
+        this.name = 'Local Library';
+        this.staticRoot = path.resolve(options.directory || 'library');
+        this.mediaPath = options.mediaPath || '/media';
+        this.videos = null;
+    }
+
+    async load() {
+        if (this.videos) return this.videos;
+        
+        const file = path.join(this.staticRoot, 'library.json');
+        const raw = JSON.parse(await fs.readFile(file, 'utf8'));
+        const entries = Array.isArray(raw) ? raw : raw.videos || [];
+        
+        this.videos = entries.map(entry => this.toVideo(entry));
+        return this.videos;
+    }
+
+    mediaUrl(file) {
+        if (!file) return null;
+        if (/^https?:\/\//.test(file)) return file;
+        return `${this.mediaPath}/${file.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    // Normalise a library entry into the same shape the Pexels API returns
+    toVideo(entry) {
+        const files = entry.files || [{ file: entry.file, width: entry.width, height: entry.height }];
+        const image = this.mediaUrl(entry.thumbnail);
+        
+        return {
+            id: entry.id,
+            width: entry.width || files[0].width || 0,
+            height: entry.height || files[0].height || 0,
+            duration: entry.duration || 0,
+            url: entry.url || this.mediaUrl(files[0].file),
+            image: image,
+            title: entry.title || '',
+            tags: entry.tags || [],
+            collections: entry.collections || [],
+            user: {
+                id: entry.user?.id || 0,
+                name: entry.user?.name || 'Local Library',
+                url: entry.user?.url || ''
+            },
+            video_files: files.map((file, index) => ({
+                id: index + 1,
+                quality: file.quality || ((file.width || 0) >= 1280 ? 'hd' : 'sd'),
+                file_type: file.file_type || 'video/mp4',
+                width: file.width || entry.width || 0,
+                height: file.height || entry.height || 0,
+                link: this.mediaUrl(file.file)
+            })),
+            video_pictures: image ? [{ id: 1, picture: image, nr: 0 }] : []
+        };
+    }
+
+    matches(video, params) {
+        const { orientation, size, min_width, min_duration, max_duration, min_resolution } = params;
+        const shortSide = Math.min(video.width, video.height);
+        
+        if (orientation === 'landscape' && video.width <= video.height) return false;
+        if (orientation === 'portrait' && video.height <= video.width) return false;
+        if (orientation === 'square' && video.width !== video.height) return false;
+        // Pexels sizes: large is 4K, medium Full HD, small HD
+        if (size && shortSide < { large: 2160, medium: 1080, small: 720 }[size]) return false;
+        if (min_width && video.width < min_width) return false;
+        if (min_duration && video.duration < min_duration) return false;
+        if (max_duration && video.duration > max_duration) return false;
+        if (min_resolution && shortSide < min_resolution) return false;
+        
+        return true;
+    }
+
+    matchesQuery(video, query) {
+        const haystack = [video.title, video.user.name, ...video.tags].join(' ').toLowerCase();
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        
+        return terms.length === 0 || terms.some(term => haystack.includes(term));
+    }
+
+    paginate(videos, params) {
+        const page = params.page || 1;
+        const perPage = params.per_page || 15;
+        const start = (page - 1) * perPage;
+        
+        return {
+            page: page,
+            per_page: perPage,
+            total_results: videos.length,
+            videos: videos.slice(start, start + perPage),
+            next_page: start + perPage < videos.length ? page + 1 : null
+        };
+    }
+
+    async search(params = {}) {
+        const videos = await this.load();
+        const results = videos.filter(video =>
+            this.matchesQuery(video, params.query) && this.matches(video, params)
+        );
+        
+        return this.paginate(results, params);
+    }
+
+    async popular(params = {}) {
+        const videos = await this.load();
+        return this.paginate(videos.filter(video => this.matches(video, params)), params);
+    }
+
+    async getVideo(id) {
+        const videos = await this.load();
+        const video = videos.find(v => String(v.id) === String(id));
+        
+        if (!video) {
+            const error = new Error(`Video ${id} not found in local library`);
+            error.status = 404;
+            throw error;
+        }
+        
+        return video;
+    }
+
+    // Files on disk have no rate limit
+    getQuota() {
+        return null;
+    }
+
+    // Videos tagged with the collection id, falling back to the collection's query
+    async collection(id, params = {}) {
+        const videos = await this.load();
+        const tagged = videos.filter(video => video.collections.includes(id));
+        
+        if (tagged.length === 0) return this.search(params);
+        return this.paginate(tagged.filter(video => this.matches(video, params)), params);
+    }
+}
+
+module.exports = LocalLibraryProvider;
@@ -0,0 +1,117 @@
+const axios = require('axios');
+const { RateLimitError, UpstreamUnavailableError } = require('./errors');
+
+const PEXELS_API_URL = 'https://api.pexels.com/videos';
+
+// Retry policy for 429 and 5xx responses
+const MAX_RETRIES = 2;
+const BASE_DELAY = 500;
+const MAX_DELAY = 5000;
+const UNAVAILABLE_RETRY_AFTER = 30; // seconds
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt) {
+    return Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+}
+
+// Video provider backed by the Pexels Videos API
+class PexelsProvider {
+    constructor(options = {}) {
+        this.name = 'Pexels';
+        this.apiKey = options.apiKey || 'YOUR_PEXELS_API_KEY';
+        this.baseUrl = options.baseUrl || PEXELS_API_URL;
+        
+        // Last seen X-Ratelimit-* values
+        this.quota = { limit: null, remaining: null, reset: null };
+    }
+
+    updateQuota(headers = {}) {
+        const limit = headers['x-ratelimit-limit'];
+        const remaining = headers['x-ratelimit-remaining'];
+        const reset = headers['x-ratelimit-reset'];
+        
+        if (limit !== undefined) this.quota.limit = parseInt(limit);
+        if (remaining !== undefined) this.quota.remaining = parseInt(remaining);
+        if (reset !== undefined) this.quota.reset = parseInt(reset) * 1000;
+    }
+
+    // Seconds until the quota resets, or null when unknown or already past
+    secondsUntilReset() {
+        if (!this.quota.reset) return null;
+        const seconds = Math.ceil((this.quota.reset - Date.now()) / 1000);
+        return seconds > 0 ? seconds : null;
+    }
+
+    getQuota() {
+        return {
+            limit: this.quota.limit,
+            remaining: this.quota.remaining,
+            reset: this.quota.reset ? new Date(this.quota.reset).toISOString() : null
+        };
+    }
+
+    async request(endpoint, params = {}) {
+        // Don't spend a request we already know will be refused
+        const resetIn = this.secondsUntilReset();
+        if (this.quota.remaining === 0 && resetIn) {
+            throw new RateLimitError('Pexels rate limit reached', resetIn);
+        }
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.get(`${this.baseUrl}/${endpoint}`, {
+                    headers: {
+                        'Authorization': this.apiKey,
+                        'User-Agent': 'FreeVideoStreamer/1.0'
+                    },
+                    params: params
+                });
+                
+                this.updateQuota(response.headers);
+                return response.data;
+            } catch (error) {
+                const status = error.response?.status;
+                this.updateQuota(error.response?.headers);
+                console.error('Pexels API Error:', error.message);
+                
+                const retryable = status === 429 || status >= 500 || !error.response;
+                if (!retryable) throw error;
+                
+                const retryAfter = parseInt(error.response?.headers?.['retry-after'])
+                    || (status === 429 ? this.secondsUntilReset() : null);
+                
+                // A long Retry-After means the hourly quota is gone; retrying now won't help
+                if (attempt < MAX_RETRIES && !(retryAfter && retryAfter * 1000 > MAX_DELAY)) {
+                    await sleep(retryAfter ? retryAfter * 1000 : backoffDelay(attempt));
+                    continue;
+                }
+                
+                if (status === 429) {
+                    throw new RateLimitError('Pexels rate limit reached', retryAfter || UNAVAILABLE_RETRY_AFTER);
+                }
+                throw new UpstreamUnavailableError('Pexels is unavailable', UNAVAILABLE_RETRY_AFTER);
+            }
+        }
+    }
+
+    search(params) {
+        return this.request('search', params);
+    }
+
+    popular(params) {
+        return this.request('popular', params);
+    }
+
+    getVideo(id) {
+        return this.request(`videos/${id}`);
+    }
+
+    // Pexels has no public video collections, so they are backed by a search query
+    collection(id, params) {
+        return this.search(params);
+    }
+}
+
+module.exports = PexelsProvider;
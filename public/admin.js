@@ -0,0 +1,207 @@
+// FreeStream admin dashboard. Talks to /api/admin with the token typed in;
+// everything from the server is inserted as text.
+
+class AdminDashboard {
+    constructor() {
+        this.token = sessionStorage.getItem('adminToken');
+    }
+
+    init() {
+        document.getElementById('tokenForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.token = document.getElementById('tokenInput').value.trim();
+            this.open();
+        });
+        document.getElementById('signOutBtn').addEventListener('click', () => this.signOut());
+        document.getElementById('refreshBtn').addEventListener('click', () => this.loadStatus());
+        document.getElementById('cacheForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadCache();
+        });
+        document.getElementById('purgeBtn').addEventListener('click', () => this.purgeCache());
+        document.getElementById('saveCatalogBtn').addEventListener('click', () => this.saveCatalog());
+        
+        if (this.token) this.open();
+    }
+
+    async request(path, { method = 'GET', body } = {}) {
+        const headers = { 'Authorization': `Bearer ${this.token}` };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        
+        const response = await fetch(`/api/admin${path}`, {
+            method: method,
+            headers: headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => null);
+        
+        if (!response.ok) {
+            const error = new Error(data?.error?.message || `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async open() {
+        const tokenError = document.getElementById('tokenError');
+        tokenError.textContent = '';
+        
+        try {
+            await this.loadStatus();
+        } catch (error) {
+            sessionStorage.removeItem('adminToken');
+            tokenError.textContent = error.message;
+            return;
+        }
+        
+        sessionStorage.setItem('adminToken', this.token);
+        document.getElementById('tokenForm').classList.add('d-none');
+        document.getElementById('dashboard').classList.remove('d-none');
+        document.getElementById('signOutBtn').classList.remove('d-none');
+        
+        await Promise.all([this.loadCache(), this.loadCatalog()]);
+    }
+
+    signOut() {
+        this.token = null;
+        sessionStorage.removeItem('adminToken');
+        window.location.reload();
+    }
+
+    async loadStatus() {
+        const status = await this.request('/status');
+        const { cache, upstream } = status;
+        
+        this.fill(document.getElementById('statusCards'), [
+            ['Uptime', this.formatDuration(status.uptime)],
+            ['Memory', this.formatBytes(status.memory)],
+            ['Cache hit rate', `${Math.round(cache.hitRate * 100)}%`],
+            ['Upstream error rate', `${(upstream.errorRate * 100).toFixed(1)}%`]
+        ].map(([label, value]) => {
+            const col = this.element('div', 'col-6 col-lg-3');
+            const card = col.appendChild(this.element('div', 'card bg-black border-secondary'));
+            const body = card.appendChild(this.element('div', 'card-body'));
+            body.appendChild(this.element('div', 'small text-muted', label));
+            body.appendChild(this.element('div', 'fs-4', value));
+            return col;
+        }));
+        
+        const quota = upstream.quota;
+        const byStatus = Object.entries(upstream.errorsByStatus)
+            .map(([code, count]) => `${code}: ${count}`).join(', ');
+        const lastError = upstream.lastError;
+        
+        this.fill(document.getElementById('upstreamTable'), [
+            ['Provider', upstream.provider],
+            ['Quota', quota ? `${quota.remaining ?? '?'} of ${quota.limit ?? '?'} left` : 'Not limited'],
+            ['Quota resets', quota?.reset ? new Date(quota.reset).toLocaleString() : '-'],
+            ['Requests', upstream.requests],
+            ['Errors', `${upstream.errors}${byStatus ? ` (${byStatus})` : ''}`],
+            ['Last error', lastError ? `${lastError.status} ${lastError.code} in ${lastError.method} at ${new Date(lastError.at).toLocaleString()}: ${lastError.message}` : '-'],
+            ['Shared (coalesced) requests', upstream.coalesced],
+            ['Stale responses served', upstream.staleServed],
+            ['In flight', upstream.inflight]
+        ].map(([label, value]) => this.row([label, value])));
+        
+        this.cacheStats = cache;
+    }
+
+    async loadCache() {
+        const prefix = document.getElementById('cachePrefix').value.trim();
+        const data = await this.request(`/cache?prefix=${encodeURIComponent(prefix)}&limit=200`);
+        const stats = this.cacheStats;
+        
+        document.getElementById('cacheSummary').textContent =
+            `${data.total} entries (${this.formatBytes(data.bytes)})${prefix ? ` starting with "${prefix}"` : ''}` +
+            (stats ? ` · ${stats.entries} of ${stats.maxEntries} entries, ${this.formatBytes(stats.bytes)} of ${this.formatBytes(stats.maxBytes)} in total` : '') +
+            (data.total > data.entries.length ? ` · showing the ${data.entries.length} most recently used` : '');
+        
+        this.fill(document.getElementById('cacheTable'), data.entries.map(entry => {
+            const row = this.row([entry.key, this.formatBytes(entry.bytes), new Date(entry.expiresAt).toLocaleString()]);
+            row.firstChild.classList.add('text-break');
+            if (entry.stale) row.classList.add('text-muted');
+            return row;
+        }));
+    }
+
+    async purgeCache() {
+        const prefix = document.getElementById('cachePrefix').value.trim();
+        const question = prefix
+            ? `Purge all cache entries starting with "${prefix}"?`
+            : 'No prefix given. Clear the whole cache?';
+        if (!confirm(question)) return;
+        
+        const query = prefix ? `prefix=${encodeURIComponent(prefix)}` : 'all=true';
+        const { removed } = await this.request(`/cache?${query}`, { method: 'DELETE' });
+        await this.loadStatus();
+        await this.loadCache();
+        
+        const summary = document.getElementById('cacheSummary');
+        summary.textContent = `Purged ${removed} entries. ${summary.textContent}`;
+    }
+
+    async loadCatalog() {
+        const catalog = await this.request('/catalog');
+        document.getElementById('catalogEditor').value = JSON.stringify(catalog, null, 4);
+    }
+
+    async saveCatalog() {
+        const message = document.getElementById('catalogMessage');
+        message.className = 'small mt-2';
+        
+        let catalog;
+        try {
+            catalog = JSON.parse(document.getElementById('catalogEditor').value);
+        } catch (error) {
+            message.classList.add('text-danger');
+            message.textContent = `Not valid JSON: ${error.message}`;
+            return;
+        }
+        
+        try {
+            const saved = await this.request('/catalog', { method: 'PUT', body: catalog });
+            document.getElementById('catalogEditor').value = JSON.stringify(saved, null, 4);
+            message.classList.add('text-success');
+            message.textContent = `Saved ${saved.categories.length} categories and ${saved.collections.length} collections`;
+        } catch (error) {
+            message.classList.add('text-danger');
+            message.textContent = error.message;
+        }
+    }
+
+    // DOM helpers: text only, never markup
+    element(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = String(text);
+        return element;
+    }
+
+    row(cells) {
+        const row = this.element('tr');
+        cells.forEach(cell => row.appendChild(this.element('td', null, cell)));
+        return row;
+    }
+
+    fill(container, children) {
+        container.replaceChildren(...children);
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+    }
+
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminDashboard().init();
+});
@@ -1,640 +1,3249 @@
 // FreeStream - Complete Frontend Application
 
-class FreeStream {
-    constructor() {
-        this.config = {
-            API_BASE_URL: window.location.hostname === 'localhost' 
-                ? 'http://localhost:3000/api'
-                : '/api',
-            ITEMS_PER_PAGE: 20,
-            CURRENT_PAGE: 1,
-            HAS_MORE: true,
-            CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
-            THEME: localStorage.getItem('theme') || 'dark'
+// Search filters accepted by /api/search, persisted and mirrored in the URL
+const FILTER_KEYS = ['orientation', 'size', 'min_resolution', 'min_duration', 'max_duration', 'locale'];
+
+// Markup built with the html`` tag below. Only html`` creates these, so anything
+// else that reaches a template (API data, search terms, names) is escaped.
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Links from data may only be http(s), relative, or blob: URLs of our own downloads
+function safeUrl(value) {
+    const url = String(value).trim();
+    return /^(https?:|blob:|\/)/i.test(url) || !url.includes(':') ? url : '#';
+}
+
+// Tagged template that escapes every interpolated value. Nested html`` templates
+// and arrays of them are inserted as markup; null, undefined and false render nothing.
+// Values in href and src attributes are also checked with safeUrl().
+function html(strings, ...values) {
+    const insert = (value, isUrl) => {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(item => insert(item, isUrl)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(isUrl ? safeUrl(value) : value);
+    };
+
+    return new SafeHtml(strings.reduce((result, string, index) => {
+        const isUrl = /\b(href|src)="$/i.test(strings[index - 1]);
+        return result + insert(values[index - 1], isUrl) + string;
+    }));
+}
+
+// Replace an element's content. A plain string is shown as text.
+function render(element, content) {
+    element.innerHTML = content instanceof SafeHtml ? content.value : escapeHtml(content);
+}
+
+// Minimal History API router. Patterns look like '/watch/:id'; handlers receive
+// the path params and the URLSearchParams of the current location.
+class Router {
+    constructor(routes, notFound) {
+        this.routes = Object.entries(routes).map(([pattern, handler]) => ({
+            regex: new RegExp('^' + pattern.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '/?$'),
+            handler: handler
+        }));
+        this.notFound = notFound;
+    }
+
+    start() {
+        window.addEventListener('popstate', () => this.resolve());
+        
+        // Follow in-app links without a full page load
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-link]');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        });
+        
+        return this.resolve();
+    }
+
+    navigate(path, { replace = false } = {}) {
+        const current = window.location.pathname + window.location.search;
+        if (path === current && !replace) return this.resolve();
+        
+        history[replace ? 'replaceState' : 'pushState']({}, '', path);
+        return this.resolve();
+    }
+
+    resolve() {
+        const { pathname, search } = window.location;
+        const params = new URLSearchParams(search);
+        
+        for (const route of this.routes) {
+            const match = pathname.match(route.regex);
+            if (match) {
+                let pathParams;
+                try {
+                    pathParams = Object.fromEntries(
+                        Object.entries(match.groups || {}).map(([key, value]) => [key, decodeURIComponent(value)])
+                    );
+                } catch (error) {
+                    // A malformed escape such as /category/% can't name anything
+                    return this.notFound(pathname, params);
+                }
+                return Promise.resolve(route.handler(pathParams, params))
+                    .catch(error => console.error('Route error:', error));
+            }
+        }
+        
+        return this.notFound(pathname, params);
+    }
+}
+
+// Playback queue: the current item, what plays next and what already played.
+// Persisted to localStorage under 'videoQueue'; onChange fires after every mutation.
+class PlaybackQueue {
+    static HISTORY_LIMIT = 50;
+
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.upNext = [];
+        this.history = [];
+        this.current = null;
+        this.shuffle = false;
+        this.repeat = 'off'; // 'off' | 'one' | 'all'
+        this.updatedAt = null;
+        this.load();
+    }
+
+    load() {
+        const saved = JSON.parse(localStorage.getItem('videoQueue'));
+        if (!saved) return;
+        
+        this.upNext = saved.upNext || [];
+        this.history = saved.history || [];
+        this.current = saved.current || null;
+        this.shuffle = !!saved.shuffle;
+        this.repeat = saved.repeat || 'off';
+        this.updatedAt = saved.updatedAt || null;
+    }
+
+    toJSON() {
+        return {
+            version: 2,
+            upNext: this.upNext,
+            history: this.history,
+            current: this.current,
+            shuffle: this.shuffle,
+            repeat: this.repeat,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    save() {
+        localStorage.setItem('videoQueue', JSON.stringify(this));
+    }
+
+    // Replace the whole queue, e.g. with the copy synced from another device
+    restore(saved) {
+        localStorage.setItem('videoQueue', JSON.stringify(saved));
+        this.load();
+        if (this.onChange) this.onChange(this);
+    }
+
+    changed() {
+        this.updatedAt = new Date().toISOString();
+        this.save();
+        if (this.onChange) this.onChange(this);
+    }
+
+    get length() {
+        return this.upNext.length;
+    }
+
+    has(videoId) {
+        return this.upNext.some(item => String(item.id) === String(videoId));
+    }
+
+    // Returns false when the video is already waiting in the queue
+    add(item) {
+        if (this.has(item.id)) return false;
+        
+        this.upNext.push({ ...item, addedAt: item.addedAt || new Date().toISOString() });
+        this.changed();
+        return true;
+    }
+
+    remove(videoId) {
+        this.upNext = this.upNext.filter(item => String(item.id) !== String(videoId));
+        this.changed();
+    }
+
+    clear() {
+        this.upNext = [];
+        this.changed();
+    }
+
+    // Swap the up-next list for a new set of items, e.g. a playlist
+    replace(items) {
+        const seen = new Set();
+        this.upNext = items.filter(item => {
+            if (seen.has(String(item.id))) return false;
+            seen.add(String(item.id));
+            return true;
+        });
+        this.changed();
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.changed();
+    }
+
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.upNext[fromIndex]) return;
+        
+        const [item] = this.upNext.splice(fromIndex, 1);
+        this.upNext.splice(Math.min(toIndex, this.upNext.length), 0, item);
+        this.changed();
+    }
+
+    // Make an item current, e.g. when a video starts playing from anywhere in the app
+    setCurrent(item) {
+        if (this.current && String(this.current.id) === String(item.id)) {
+            this.current = { ...this.current, ...item };
+            this.changed();
+            return;
+        }
+        
+        if (this.current) {
+            this.history.unshift(this.current);
+            this.history = this.history.slice(0, PlaybackQueue.HISTORY_LIMIT);
+        }
+        
+        this.upNext = this.upNext.filter(queued => String(queued.id) !== String(item.id));
+        this.current = item;
+        this.changed();
+    }
+
+    // Item to play after the current one, honouring shuffle and repeat modes.
+    // skip is set when the user asks for the next item, which bypasses repeat-one.
+    next({ skip = false } = {}) {
+        if (this.repeat === 'one' && this.current && !skip) return this.current;
+        
+        if (this.upNext.length === 0) {
+            if (this.repeat !== 'all' || (!this.current && this.history.length === 0)) return null;
+            
+            // Start over: everything played so far, oldest first, becomes the queue again
+            this.upNext = [...this.history].reverse().concat(this.current ? [this.current] : []);
+            this.history = [];
+            this.current = null;
+            this.save();
+        }
+        
+        const index = this.shuffle ? Math.floor(Math.random() * this.upNext.length) : 0;
+        return this.upNext[index];
+    }
+
+    // Step back: the current item returns to the front of the queue
+    previous() {
+        if (this.history.length === 0) return null;
+        
+        const item = this.history.shift();
+        if (this.current) this.upNext.unshift(this.current);
+        this.current = null;
+        this.changed();
+        return item;
+    }
+
+    toggleShuffle() {
+        this.shuffle = !this.shuffle;
+        this.changed();
+    }
+
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        this.changed();
+    }
+}
+
+// Videos the user has watched, newest first, with how far they got in each.
+// Persisted to localStorage under 'watchHistory'.
+class WatchHistory {
+    static LIMIT = 200;
+    // Below this many seconds, or past this fraction of the video, start from the beginning
+    static MIN_RESUME = 5;
+    static FINISHED = 0.95;
+
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.entries = JSON.parse(localStorage.getItem('watchHistory')) || [];
+    }
+
+    save() {
+        localStorage.setItem('watchHistory', JSON.stringify(this.entries));
+        if (this.onChange) this.onChange(this);
+    }
+
+    // Swap in a new set of entries, e.g. merged from another device
+    replace(entries) {
+        this.entries = [...entries]
+            .sort((a, b) => Date.parse(b.watchedAt) - Date.parse(a.watchedAt))
+            .slice(0, WatchHistory.LIMIT);
+        this.save();
+    }
+
+    get(videoId) {
+        return this.entries.find(entry => String(entry.id) === String(videoId)) || null;
+    }
+
+    // A video was opened: move it to the front, keeping its saved position
+    record(video) {
+        const previous = this.get(video.id);
+        
+        this.entries = this.entries.filter(entry => entry !== previous);
+        this.entries.unshift({
+            id: video.id,
+            title: video.user?.name,
+            thumbnail: video.image || video.video_pictures?.[0]?.picture || null,
+            width: video.width,
+            height: video.height,
+            duration: video.duration,
+            position: previous?.position || 0,
+            watchedAt: new Date().toISOString()
+        });
+        this.entries = this.entries.slice(0, WatchHistory.LIMIT);
+        this.save();
+    }
+
+    updatePosition(videoId, position, duration) {
+        const entry = this.get(videoId);
+        if (!entry) return;
+        
+        entry.position = Math.floor(position);
+        if (duration) entry.duration = Math.round(duration);
+        entry.watchedAt = new Date().toISOString();
+        this.save();
+    }
+
+    // Fraction watched, 0 to 1
+    progress(videoId) {
+        const entry = this.get(videoId);
+        if (!entry || !entry.duration) return 0;
+        return Math.min(entry.position / entry.duration, 1);
+    }
+
+    resumePosition(videoId) {
+        const entry = this.get(videoId);
+        if (!entry || entry.position < WatchHistory.MIN_RESUME) return 0;
+        return this.progress(videoId) >= WatchHistory.FINISHED ? 0 : entry.position;
+    }
+
+    // Started but not finished
+    inProgress() {
+        return this.entries.filter(entry => this.resumePosition(entry.id) > 0);
+    }
+
+    search(term) {
+        const needle = (term || '').trim().toLowerCase();
+        if (!needle) return this.entries;
+        return this.entries.filter(entry => (entry.title || '').toLowerCase().includes(needle));
+    }
+
+    remove(videoId) {
+        this.entries = this.entries.filter(entry => String(entry.id) !== String(videoId));
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
+
+// Named, user-ordered lists of videos. Persisted to localStorage under 'playlists';
+// onChange fires after every mutation.
+class Playlists {
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.items = JSON.parse(localStorage.getItem('playlists')) || [];
+    }
+
+    changed() {
+        localStorage.setItem('playlists', JSON.stringify(this.items));
+        if (this.onChange) this.onChange(this);
+    }
+
+    get(playlistId) {
+        return this.items.find(playlist => playlist.id === playlistId) || null;
+    }
+
+    // Record that a playlist was edited; sync keeps the newest copy of each playlist
+    touch(playlist) {
+        playlist.updatedAt = new Date().toISOString();
+        this.changed();
+    }
+
+    // Swap in a new set of playlists, e.g. merged from another device
+    replace(items) {
+        this.items = [...items].sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        this.changed();
+    }
+
+    create(name) {
+        const playlist = {
+            id: `pl-${Date.now().toString(36)}`,
+            name: name,
+            videos: [],
+            createdAt: new Date().toISOString()
+        };
+        this.items.push(playlist);
+        this.touch(playlist);
+        return playlist;
+    }
+
+    rename(playlistId, name) {
+        const playlist = this.get(playlistId);
+        if (!playlist) return;
+        playlist.name = name;
+        this.touch(playlist);
+    }
+
+    delete(playlistId) {
+        this.items = this.items.filter(playlist => playlist.id !== playlistId);
+        this.changed();
+    }
+
+    contains(playlistId, videoId) {
+        return !!this.get(playlistId)?.videos.some(video => String(video.id) === String(videoId));
+    }
+
+    // Returns false when the video is already in the playlist
+    addVideo(playlistId, entry) {
+        const playlist = this.get(playlistId);
+        if (!playlist || this.contains(playlistId, entry.id)) return false;
+        
+        playlist.videos.push({ ...entry, addedAt: new Date().toISOString() });
+        this.touch(playlist);
+        return true;
+    }
+
+    removeVideo(playlistId, videoId) {
+        const playlist = this.get(playlistId);
+        if (!playlist) return;
+        
+        playlist.videos = playlist.videos.filter(video => String(video.id) !== String(videoId));
+        this.touch(playlist);
+    }
+
+    move(playlistId, fromIndex, toIndex) {
+        const playlist = this.get(playlistId);
+        if (!playlist || fromIndex === toIndex || !playlist.videos[fromIndex]) return;
+        
+        const [video] = playlist.videos.splice(fromIndex, 1);
+        playlist.videos.splice(Math.min(toIndex, playlist.videos.length), 0, video);
+        this.touch(playlist);
+    }
+}
+
+// Versioned snapshot of the personal data FreeStream keeps in localStorage. Used
+// for export/import, and to upgrade data saved by older versions of the app.
+//   version 1: the original keys; liked/saved entries with only id and title, one
+//              history entry per view, the queue as a plain array
+//   version 2: video entries with thumbnail, size and duration fields, one history
+//              entry per video with its position, the queue object and playlists
+class DataBundle {
+    static FORMAT = 'freestream-data';
+    static VERSION = 2;
+    static KEYS = ['likedVideos', 'savedVideos', 'watchHistory', 'searchHistory', 'videoQueue', 'playlists'];
+    static MAX_SIZE = 5 * 1024 * 1024;
+
+    // MIGRATIONS[n] upgrades data from version n + 1 to n + 2. normalize() then
+    // fills in and de-duplicates entries, so migrations only change structure.
+    static MIGRATIONS = [
+        data => ({
+            ...data,
+            videoQueue: Array.isArray(data.videoQueue)
+                ? { version: 2, upNext: data.videoQueue, history: [], current: null, shuffle: false, repeat: 'off' }
+                : data.videoQueue,
+            playlists: data.playlists || []
+        })
+    ];
+
+    // Clean up data in the current format: drop malformed and duplicate entries
+    // and give every entry the same fields
+    static normalize(data) {
+        const queue = data.videoQueue && typeof data.videoQueue === 'object' ? data.videoQueue : null;
+        
+        return {
+            likedVideos: DataBundle.entries(data.likedVideos, 'likedAt'),
+            savedVideos: DataBundle.entries(data.savedVideos, 'savedAt'),
+            watchHistory: DataBundle.entries(data.watchHistory, 'watchedAt')
+                .map(entry => ({ ...entry, position: Number(entry.position) || 0 })),
+            searchHistory: (Array.isArray(data.searchHistory) ? data.searchHistory : [])
+                .filter(query => typeof query === 'string'),
+            videoQueue: queue && {
+                ...queue,
+                upNext: DataBundle.entries(queue.upNext, 'addedAt'),
+                history: DataBundle.entries(queue.history, 'addedAt')
+            },
+            playlists: (Array.isArray(data.playlists) ? data.playlists : [])
+                .filter(playlist => playlist && typeof playlist.id === 'string' && typeof playlist.name === 'string')
+                .map(playlist => ({ ...playlist, videos: DataBundle.entries(playlist.videos, 'addedAt') }))
+        };
+    }
+
+    // Video entries with every field present, first occurrence of each id kept.
+    // Missing details stay null until FreeStream.enrichEntries() fills them in.
+    static entries(items, timestampKey) {
+        const seen = new Set();
+        
+        return (Array.isArray(items) ? items : [])
+            .filter(item => item && (typeof item.id === 'number' || typeof item.id === 'string') && String(item.id))
+            .filter(item => {
+                if (seen.has(String(item.id))) return false;
+                seen.add(String(item.id));
+                return true;
+            })
+            .map(item => ({
+                ...item,
+                title: item.title ?? null,
+                thumbnail: item.thumbnail ?? null,
+                width: item.width ?? null,
+                height: item.height ?? null,
+                duration: item.duration ?? null,
+                // Unknown dates sort as oldest and lose merges
+                [timestampKey]: item[timestampKey] || new Date(0).toISOString()
+            }));
+    }
+
+    static migrate(data, fromVersion) {
+        let migrated = data;
+        for (let version = fromVersion; version < DataBundle.VERSION; version++) {
+            migrated = DataBundle.MIGRATIONS[version - 1](migrated);
+        }
+        return DataBundle.normalize(migrated);
+    }
+
+    static fromStorage() {
+        const data = {};
+        DataBundle.KEYS.forEach(key => {
+            try {
+                data[key] = JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                data[key] = null;
+            }
+        });
+        return data;
+    }
+
+    static toStorage(data) {
+        DataBundle.KEYS.forEach(key => {
+            if (data[key] === null || data[key] === undefined) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(data[key]));
+            }
+        });
+        localStorage.setItem('dataVersion', DataBundle.VERSION);
+    }
+
+    // Bring localStorage written by an older version up to date
+    static upgradeStorage() {
+        const version = parseInt(localStorage.getItem('dataVersion')) || 1;
+        if (version >= DataBundle.VERSION) return;
+        DataBundle.toStorage(DataBundle.migrate(DataBundle.fromStorage(), version));
+    }
+
+    static create(data) {
+        return {
+            format: DataBundle.FORMAT,
+            version: DataBundle.VERSION,
+            exportedAt: new Date().toISOString(),
+            data: data
+        };
+    }
+
+    // Parse and validate an exported file. Accepts bundles from older versions and
+    // plain dumps of the localStorage keys. Throws an Error with a readable message.
+    static parse(text) {
+        if (text.length > DataBundle.MAX_SIZE) throw new Error('The file is too large');
+        
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+            throw new Error('The file is not a FreeStream export');
+        }
+        
+        // Dumps made before bundles existed are just the localStorage keys
+        if (bundle.format === undefined && DataBundle.KEYS.some(key => key in bundle)) {
+            bundle = { format: DataBundle.FORMAT, version: 1, data: bundle };
+        }
+        if (bundle.format !== DataBundle.FORMAT || typeof bundle.data !== 'object' || !bundle.data) {
+            throw new Error('The file is not a FreeStream export');
+        }
+        
+        const version = Number(bundle.version);
+        if (!Number.isInteger(version) || version < 1) throw new Error('The export has no valid version');
+        if (version > DataBundle.VERSION) throw new Error('The export was made by a newer version of FreeStream');
+        
+        ['likedVideos', 'savedVideos', 'watchHistory', 'searchHistory', 'playlists'].forEach(key => {
+            if (bundle.data[key] != null && !Array.isArray(bundle.data[key])) {
+                throw new Error(`"${key}" in the export should be a list`);
+            }
+        });
+        
+        return DataBundle.migrate(bundle.data, version);
+    }
+
+    // Combine imported data with what is already here. For items in both, the
+    // newer one wins; lists keep local items first.
+    static merge(local, incoming) {
+        const byId = (a, b, timestampKey) => {
+            const merged = new Map(a.map(item => [String(item.id), item]));
+            b.forEach(item => {
+                const existing = merged.get(String(item.id));
+                if (!existing || Date.parse(item[timestampKey]) > Date.parse(existing[timestampKey])) {
+                    merged.set(String(item.id), item);
+                }
+            });
+            return [...merged.values()];
+        };
+        
+        const localQueue = local.videoQueue;
+        const incomingQueue = incoming.videoQueue;
+        
+        return {
+            likedVideos: byId(local.likedVideos || [], incoming.likedVideos, 'likedAt'),
+            savedVideos: byId(local.savedVideos || [], incoming.savedVideos, 'savedAt'),
+            watchHistory: byId(local.watchHistory || [], incoming.watchHistory, 'watchedAt')
+                .sort((a, b) => Date.parse(b.watchedAt) - Date.parse(a.watchedAt)),
+            searchHistory: [...new Set([...(local.searchHistory || []), ...incoming.searchHistory])].slice(0, 10),
+            videoQueue: localQueue && incomingQueue
+                ? { ...localQueue, upNext: byId(localQueue.upNext || [], incomingQueue.upNext, 'addedAt') }
+                : localQueue || incomingQueue,
+            playlists: byId(
+                (local.playlists || []).map(playlist => ({ ...playlist, editedAt: playlist.updatedAt || playlist.createdAt })),
+                incoming.playlists.map(playlist => ({ ...playlist, editedAt: playlist.updatedAt || playlist.createdAt })),
+                'editedAt'
+            ).map(({ editedAt, ...playlist }) => playlist)
+        };
+    }
+
+    static summary(data) {
+        return {
+            liked: data.likedVideos.length,
+            saved: data.savedVideos.length,
+            history: data.watchHistory.length,
+            searches: data.searchHistory.length,
+            queued: data.videoQueue?.upNext?.length || 0,
+            playlists: data.playlists.length
         };
+    }
+}
+
+// Keeps local collections in step with the signed-in account. A collection is a set
+// of records { id, updatedAt, deleted?, data }. The newest updatedAt wins, on the
+// server and here, so edits made on two devices merge item by item.
+//   adapters: { name: { records() -> [record], apply(data[]) } }
+class SyncClient {
+    static DELAY = 2000;
+
+    constructor(request, adapters, onStatus) {
+        this.request = request;
+        this.adapters = adapters;
+        this.onStatus = onStatus;
+        this.session = JSON.parse(localStorage.getItem('session')) || null; // { user, token }
+        // Per collection: updatedAt of every record as of the last sync, and when that was
+        this.meta = JSON.parse(localStorage.getItem('syncState')) || {};
+        this.timers = {};
+        this.running = {};
+        this.applying = false;
+        this.error = null;
+    }
+
+    get user() {
+        return this.session?.user || null;
+    }
+
+    get token() {
+        return this.session?.token || null;
+    }
+
+    get lastSync() {
+        const times = Object.values(this.meta).map(meta => meta.lastSync || 0);
+        return times.length ? Math.max(...times) : null;
+    }
+
+    saveMeta() {
+        localStorage.setItem('syncState', JSON.stringify(this.meta));
+    }
+
+    status() {
+        if (this.onStatus) this.onStatus(this);
+    }
+
+    // mode is 'login' or 'register'
+    async signIn(mode, username, password) {
+        this.session = await this.request(`/auth/${mode}`, { method: 'POST', body: { username, password } });
+        localStorage.setItem('session', JSON.stringify(this.session));
+        
+        // Nothing has been synced with this account yet: upload everything, delete nothing
+        this.meta = {};
+        this.saveMeta();
+        this.status();
+        await this.syncAll();
+    }
+
+    signOut() {
+        Object.values(this.timers).forEach(timer => clearTimeout(timer));
+        this.session = null;
+        this.meta = {};
+        this.error = null;
+        localStorage.removeItem('session');
+        this.saveMeta();
+        this.status();
+    }
+
+    // Sync a collection shortly after it changes locally
+    schedule(name, delay = SyncClient.DELAY) {
+        if (!this.session || this.applying) return;
+        
+        clearTimeout(this.timers[name]);
+        this.timers[name] = setTimeout(() => this.sync(name), delay);
+    }
+
+    async syncAll() {
+        for (const name of Object.keys(this.adapters)) {
+            await this.sync(name);
+        }
+    }
+
+    // Runs one sync per collection at a time
+    sync(name) {
+        const previous = this.running[name] || Promise.resolve();
+        this.running[name] = previous.then(() => this.syncNow(name)).catch(error => {
+            console.error(`Sync ${name} error:`, error);
+            this.error = error;
+            if (error.status === 401) this.signOut();
+            this.status();
+        });
+        return this.running[name];
+    }
+
+    async syncNow(name) {
+        if (!this.session) return;
+        
+        const adapter = this.adapters[name];
+        const synced = this.meta[name]?.synced || {};
+        const sent = adapter.records();
+        
+        // Send what changed since the last sync. Records that were synced but are
+        // gone locally were deleted on this device.
+        const sentIds = new Set(sent.map(record => record.id));
+        const changes = sent.filter(record => !(record.id in synced) || record.updatedAt > synced[record.id]);
+        Object.keys(synced)
+            .filter(id => !sentIds.has(id))
+            .forEach(id => changes.push({ id, updatedAt: Date.now(), deleted: true }));
+        
+        const response = await this.request(`/sync/${name}`, {
+            method: 'POST',
+            body: { records: changes },
+            auth: true
+        });
+        
+        // Merge with the local state again: it may have changed while the request was out
+        const current = new Map(adapter.records().map(record => [record.id, record]));
+        const remoteIds = new Set();
+        const live = [];
+        const nextSynced = {};
+        
+        response.records.forEach(remote => {
+            remoteIds.add(remote.id);
+            const local = current.get(remote.id);
+            
+            if (local && local.updatedAt > remote.updatedAt) {
+                live.push(local);
+            } else if (!remote.deleted && (local || !sentIds.has(remote.id))) {
+                live.push(remote);
+            }
+            if (!remote.deleted) nextSynced[remote.id] = remote.updatedAt;
+        });
+        current.forEach((local, id) => {
+            if (!remoteIds.has(id)) live.push(local);
+        });
+        
+        this.applying = true;
+        try {
+            adapter.apply(live.map(record => record.data));
+        } finally {
+            this.applying = false;
+        }
+        
+        this.meta[name] = { synced: nextSynced, lastSync: Date.now() };
+        this.saveMeta();
+        this.error = null;
+        this.status();
+    }
+}
+
+// Videos saved for offline playback, in IndexedDB. Metadata and files live in
+// separate stores so listing downloads doesn't read the video data.
+//   entries: { id, video, rendition, size, thumbnailUrl, savedAt }
+//   files:   { id, video: Blob, thumbnail: Blob | null }
+class OfflineStore {
+    static DB_NAME = 'freestream-offline';
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!window.indexedDB) return reject(new Error('Offline storage is not supported in this browser'));
+                
+                const request = indexedDB.open(OfflineStore.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('entries', { keyPath: 'id' });
+                    request.result.createObjectStore('files', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Run fn against the given stores in one transaction; resolves with fn's request result
+    async transaction(stores, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            const request = fn(...stores.map(name => tx.objectStore(name)));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Offline storage transaction aborted'));
+        });
+    }
+
+    list() {
+        return this.transaction(['entries'], 'readonly', entries => entries.getAll());
+    }
+
+    getFile(id) {
+        return this.transaction(['files'], 'readonly', files => files.get(String(id)));
+    }
+
+    put(entry, file) {
+        return this.transaction(['entries', 'files'], 'readwrite', (entries, files) => {
+            entries.put({ ...entry, id: String(entry.id) });
+            files.put({ ...file, id: String(entry.id) });
+        });
+    }
+
+    delete(id) {
+        return this.transaction(['entries', 'files'], 'readwrite', (entries, files) => {
+            entries.delete(String(id));
+            files.delete(String(id));
+        });
+    }
+
+    clear() {
+        return this.transaction(['entries', 'files'], 'readwrite', (entries, files) => {
+            entries.clear();
+            files.clear();
+        });
+    }
+}
+
+// Picks which video file (rendition) to play. In auto mode it goes by the player's
+// pixel size and the measured download throughput; users can also pin a tier or resolution.
+class RenditionSelector {
+    static TIERS = ['sd', 'hd', 'uhd'];
+    // Rough H.264 bits per pixel per frame, used to estimate a rendition's bitrate
+    static BITS_PER_PIXEL = 0.1;
+
+    constructor() {
+        this.preference = localStorage.getItem('qualityPreference') || 'auto';
+        this.throughput = parseFloat(localStorage.getItem('throughputEstimate')) || null; // bits per second
+    }
+
+    static shortSide(file) {
+        const sides = [file.width, file.height].filter(Boolean);
+        return sides.length ? Math.min(...sides) : 0;
+    }
+
+    static label(file) {
+        const side = RenditionSelector.shortSide(file);
+        return side ? `${side}p` : (file.quality || 'auto').toUpperCase();
+    }
+
+    static tier(file) {
+        const side = RenditionSelector.shortSide(file);
+        if (!side) return file.quality === 'hd' ? 'hd' : 'sd';
+        if (side >= 2160) return 'uhd';
+        return side >= 720 ? 'hd' : 'sd';
+    }
+
+    static link(file) {
+        return file.link || file.url;
+    }
+
+    // Playable files of a video, highest resolution first
+    list(video) {
+        const files = Array.isArray(video.video_files) ? video.video_files : [video.video_files];
+        const seen = new Set();
+        
+        return files
+            .filter(file => file && RenditionSelector.link(file))
+            .filter(file => !file.file_type || file.file_type.startsWith('video/'))
+            .filter(file => {
+                const link = RenditionSelector.link(file);
+                if (seen.has(link)) return false;
+                seen.add(link);
+                return true;
+            })
+            .sort((a, b) => (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0));
+    }
+
+    setPreference(preference) {
+        this.preference = preference;
+        localStorage.setItem('qualityPreference', preference);
+    }
+
+    // Exponentially weighted so one slow sample doesn't drop quality straight away
+    recordThroughput(bitsPerSecond) {
+        this.throughput = this.throughput
+            ? this.throughput * 0.7 + bitsPerSecond * 0.3
+            : bitsPerSecond;
+        localStorage.setItem('throughputEstimate', Math.round(this.throughput));
+    }
+
+    estimatedBitrate(file) {
+        return (file.width || 1280) * (file.height || 720) * (file.fps || 30) * RenditionSelector.BITS_PER_PIXEL;
+    }
+
+    // failed holds links that already errored for this video
+    choose(renditions, player, failed = new Set()) {
+        const candidates = renditions.filter(file => !failed.has(RenditionSelector.link(file)));
+        if (candidates.length === 0) return null;
+        
+        return this.pinned(candidates) || this.auto(candidates, player);
+    }
+
+    pinned(candidates) {
+        const preference = this.preference;
+        if (preference === 'auto') return null;
+        
+        const tiers = RenditionSelector.TIERS;
+        if (tiers.includes(preference)) {
+            const rank = tiers.indexOf(preference);
+            // Best file in the tier, else the best one below it, else the smallest available
+            return candidates.find(file => RenditionSelector.tier(file) === preference)
+                || candidates.find(file => tiers.indexOf(RenditionSelector.tier(file)) < rank)
+                || candidates[candidates.length - 1];
+        }
+        
+        return candidates.find(file => RenditionSelector.label(file) === preference) || null;
+    }
+
+    auto(candidates, player) {
+        const ratio = window.devicePixelRatio || 1;
+        const targetWidth = (player?.clientWidth || 1280) * ratio;
+        const targetHeight = (player?.clientHeight || 720) * ratio;
+        
+        // Smallest file that still fills the player
+        const sharpest = [...candidates].reverse()
+            .find(file => file.width >= targetWidth || file.height >= targetHeight) || candidates[0];
+        
+        // ...as long as the connection can keep up with it
+        const throughput = this.throughput || (navigator.connection?.downlink || 0) * 1e6;
+        if (!throughput) return sharpest;
+        
+        const affordable = candidates.filter(file => this.estimatedBitrate(file) <= throughput * 0.8);
+        if (affordable.length === 0) return candidates[candidates.length - 1];
+        return affordable.includes(sharpest) ? sharpest : affordable[0];
+    }
+}
+
+// Collects anonymous usage events (plays, completions, queue adds, likes, errors)
+// and sends them to the server in batches; searches are counted by the server.
+// Nothing is sent with Do Not Track on.
+class UsageBeacon {
+    static BATCH_SIZE = 20;
+    static FLUSH_DELAY = 30000;
+
+    constructor(url) {
+        this.url = url;
+        this.events = [];
+        this.timer = null;
+        this.enabled = navigator.doNotTrack !== '1';
+        
+        // The last batch goes out as the page is closed or put in the background
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+    }
+
+    track(type, details = {}) {
+        if (!this.enabled) return;
+        this.events.push({ type, ...details });
+        
+        if (this.events.length >= UsageBeacon.BATCH_SIZE) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), UsageBeacon.FLUSH_DELAY);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.events.length === 0) return;
+        
+        const body = JSON.stringify({ events: this.events });
+        this.events = [];
+        
+        // sendBeacon survives the page unloading; fall back to a keepalive fetch
+        const blob = new Blob([body], { type: 'application/json' });
+        if (navigator.sendBeacon?.(this.url, blob)) return;
+        fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body,
+            keepalive: true
+        }).catch(() => {});
+    }
+}
+
+class FreeStream {
+    constructor() {
+        DataBundle.upgradeStorage();
+        
+        this.config = {
+            // Same origin on every host and port: the CSP only allows connect-src 'self'
+            API_BASE_URL: '/api',
+            ITEMS_PER_PAGE: 20,
+            CURRENT_PAGE: 1,
+            HAS_MORE: true,
+            CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
+            THEME: localStorage.getItem('theme') || 'dark'
+        };
+        
+        this.state = {
+            currentVideo: null,
+            renditions: [],
+            rendition: null,
+            failedRenditions: new Set(),
+            likedVideos: JSON.parse(localStorage.getItem('likedVideos')) || [],
+            savedVideos: JSON.parse(localStorage.getItem('savedVideos')) || [],
+            searchHistory: JSON.parse(localStorage.getItem('searchHistory')) || [],
+            suggestions: [],
+            activeSuggestion: -1,
+            filters: this.loadFilters(),
+            currentQuery: null,
+            currentCategory: 'all',
+            // Category or collection id while one of those is showing
+            currentCatalogId: null,
+            librarySection: 'liked',
+            isLoading: false,
+            videos: [],
+            collections: [],
+            categories: []
+        };
+        
+        this.sync = new SyncClient(
+            (path, options) => this.apiRequest(path, options),
+            this.syncAdapters(),
+            () => this.renderAccount()
+        );
+        this.queue = new PlaybackQueue(() => {
+            this.renderQueue();
+            this.sync.schedule('queue');
+        });
+        // Positions change every few seconds while playing, so history syncs less eagerly
+        this.watchHistory = new WatchHistory(() => this.sync.schedule('history', 30000));
+        this.playlists = new Playlists(() => {
+            this.renderLibrary();
+            this.sync.schedule('playlists');
+        });
+        this.renditionSelector = new RenditionSelector();
+        this.usage = new UsageBeacon(`${this.config.API_BASE_URL}/events`);
+        this.offline = new OfflineStore();
+        this.offlineEntries = new Map(); // video id -> saved entry
+        this.downloads = new Map(); // video id -> { progress, controller }
+        
+        this.suggestTimer = null;
+        this.suggestRequest = 0;
+        
+        this.cache = new Map();
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Set theme
+            this.setTheme(this.config.THEME);
+            
+            // The menus fill in when their lists arrive; the page doesn't wait for them
+            this.loadCollections();
+            this.loadCategories();
+            
+            const currentYear = document.getElementById('currentYear');
+            if (currentYear) currentYear.textContent = new Date().getFullYear();
+            
+            // Setup event listeners
+            this.setupEventListeners();
+            this.renderQueue();
+            this.updateQualityMenu();
+            await this.loadOfflineIndex();
+            
+            // Load the page for the current URL
+            this.setupRouter();
+            await this.router.start();
+            
+            // Hide loading screen
+            setTimeout(() => {
+                document.getElementById('loadingScreen').classList.add('hidden');
+            }, 1000);
+            
+            // Check API health
+            await this.checkHealth();
+            
+            // Fill in details missing from entries saved by older versions
+            this.enrichEntries();
+            
+            this.loadLocalTrending();
+            
+            this.registerServiceWorker();
+            
+            console.log('FreeStream initialized successfully');
+        } catch (error) {
+            console.error('Initialization error:', error);
+            this.showError('Failed to initialize application');
+        }
+    }
+
+    // API Methods
+    // options: method, body (sent as JSON) and auth (send the session token)
+    async apiRequest(path, { method = 'GET', body, auth = false } = {}) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (auth && this.sync.token) headers.Authorization = `Bearer ${this.sync.token}`;
+        
+        const response = await fetch(`${this.config.API_BASE_URL}${path}`, {
+            method: method,
+            headers: headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const details = body.error || {};
+            const error = new Error(details.message || `API error: ${response.status}`);
+            error.status = response.status;
+            error.code = details.code;
+            error.requestId = details.requestId;
+            error.retryAfter = parseInt(response.headers.get('Retry-After')) || details.retryAfter || null;
+            throw error;
+        }
+        
+        return response.json();
+    }
+
+    async checkHealth() {
+        try {
+            const response = await fetch(`${this.config.API_BASE_URL}/health`);
+            if (response.ok) {
+                const stats = document.getElementById('statsInfo');
+                if (stats) {
+                    render(stats, html`<i class="fas fa-circle"></i> API Connected`);
+                    stats.className = 'text-success';
+                }
+            }
+        } catch (error) {
+            console.warn('API health check failed:', error);
+            const stats = document.getElementById('statsInfo');
+            if (stats) {
+                render(stats, html`<i class="fas fa-circle"></i> API Offline`);
+                stats.className = 'text-danger';
+            }
+        }
+    }
+
+    async loadTrendingVideos(page = 1) {
+        try {
+            this.showLoading(true);
+            
+            const cacheKey = `trending_${page}`;
+            const cached = this.getCached(cacheKey);
+            
+            if (cached) {
+                this.displayVideos(cached.videos);
+                return cached;
+            }
+            
+            const data = await this.apiRequest(
+                `/trending?page=${page}&per_page=${this.config.ITEMS_PER_PAGE}`
+            );
+            const videos = data.videos || [];
+            
+            // Update state
+            this.state.videos = [...this.state.videos, ...videos];
+            this.config.HAS_MORE = data.next_page ? true : false;
+            
+            // Cache the response
+            this.setCached(cacheKey, { videos: videos, timestamp: Date.now() });
+            
+            // Update UI
+            this.displayVideos(videos);
+            this.updateVideoCount(data.total_results);
+            
+            return data;
+        } catch (error) {
+            console.error('Trending videos error:', error);
+            this.showError('Failed to load trending videos', error);
+            throw error;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async searchVideos(query, page = 1) {
+        try {
+            this.showLoading(true);
+            
+            const filterQuery = this.buildFilterQuery();
+            const cacheKey = `search_${query}_${page}${filterQuery}`;
+            const cached = this.getCached(cacheKey);
+            
+            this.state.currentQuery = query;
+            this.updateFilterUrl();
+            
+            if (cached) {
+                this.displayVideos(cached.videos, page === 1);
+                return cached;
+            }
+            
+            const data = await this.apiRequest(
+                `/search?q=${encodeURIComponent(query)}&page=${page}&per_page=${this.config.ITEMS_PER_PAGE}${filterQuery}`
+            );
+            const videos = data.videos || [];
+            
+            // Update search history
+            this.addToSearchHistory(query);
+            
+            // Update state
+            this.state.videos = page === 1 ? videos : [...this.state.videos, ...videos];
+            this.config.HAS_MORE = data.next_page ? true : false;
+            
+            // Cache the response
+            this.setCached(cacheKey, { videos: videos, timestamp: Date.now() });
+            
+            // Update UI
+            this.displayVideos(videos, page === 1);
+            
+            return data;
+        } catch (error) {
+            console.error('Search error:', error);
+            this.showError('Failed to search videos', error);
+            throw error;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async loadVideoDetails(videoId) {
+        try {
+            this.showLoading(true);
+            
+            const cacheKey = `video_${videoId}`;
+            const cached = this.getCached(cacheKey);
+            
+            if (cached) {
+                this.playVideo(cached);
+                this.loadRelatedVideos(videoId);
+                return cached;
+            }
+            
+            // Downloaded videos still open without a connection
+            const video = await this.apiRequest(`/video/${videoId}`).catch(error => {
+                const saved = this.offlineEntries.get(String(videoId));
+                if (saved) return saved.video;
+                throw error;
+            });
+            
+            // Cache the response
+            this.setCached(cacheKey, video);
+            
+            // Play the video
+            this.playVideo(video);
+            
+            // Load related videos
+            this.loadRelatedVideos(videoId);
+            
+            return video;
+        } catch (error) {
+            console.error('Video details error:', error);
+            this.showError('Failed to load video', error);
+            throw error;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async loadRelatedVideos(videoId) {
+        try {
+            // Leave out videos the user has already watched
+            const watched = this.watchHistory.entries
+                .map(entry => entry.id)
+                .filter(id => String(id) !== String(videoId))
+                .slice(0, 30);
+            
+            const data = await this.apiRequest(
+                `/video/${videoId}/related?per_page=6&exclude=${watched.join(',')}`
+            );
+            this.displayRelatedVideos(data.videos || []);
+        } catch (error) {
+            console.error('Related videos error:', error);
+        }
+    }
+
+    async loadCollections() {
+        try {
+            const response = await fetch(`${this.config.API_BASE_URL}/collections`);
+            
+            if (response.ok) {
+                const collections = await response.json();
+                this.state.collections = collections;
+                this.displayCollections(collections);
+            }
+        } catch (error) {
+            console.error('Collections error:', error);
+        }
+    }
+
+    async loadCategories() {
+        try {
+            this.state.categories = await this.apiRequest('/categories');
+            this.populateCategoryMenu();
+        } catch (error) {
+            console.error('Categories error:', error);
+        }
+    }
+
+    async loadCollectionVideos(collectionId, page = 1) {
+        this.state.currentCategory = 'collection';
+        this.state.currentCatalogId = collectionId;
+        this.state.currentQuery = null;
+        this.config.CURRENT_PAGE = page;
+        
+        try {
+            this.showLoading(true);
+            
+            const data = await this.apiRequest(
+                `/collection/${encodeURIComponent(collectionId)}?page=${page}&per_page=${this.config.ITEMS_PER_PAGE}`
+            );
+            const videos = data.videos || [];
+            this.config.HAS_MORE = data.next_page ? true : false;
+            this.displayVideos(videos, page === 1);
+            this.state.videos = [...this.state.videos, ...videos];
+            
+            if (page === 1) {
+                const collection = this.state.collections.find(c => c.id === collectionId);
+                this.showNotification(`Showing ${collection?.name || collectionId} collection`);
+            }
+        } catch (error) {
+            console.error('Collection videos error:', error);
+            this.showError('Failed to load collection', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Routing
+    setupRouter() {
+        // Old manifest shortcuts pointed at /#trending and /#search
+        if (window.location.hash === '#search') history.replaceState({}, '', '/search');
+        if (window.location.hash === '#trending') history.replaceState({}, '', '/');
+        
+        this.router = new Router({
+            '/': () => this.showTrending(),
+            '/watch/:id': ({ id }) => this.showVideo(id),
+            '/search': (params, query) => this.showSearch(query),
+            '/category/:id': ({ id }) => this.loadCategoryVideos(id),
+            '/collection/:id': ({ id }) => this.loadCollectionVideos(id),
+            '/history': () => this.showHistory(),
+            '/library': () => this.showLibrary('liked'),
+            '/library/:section': ({ section }) => this.showLibrary(section),
+            '/offline': () => this.showOffline()
+        }, () => this.router.navigate('/', { replace: true }));
+    }
+
+    openVideo(videoId) {
+        return this.router.navigate(`/watch/${encodeURIComponent(videoId)}`);
+    }
+
+    openSearch(query) {
+        return this.router.navigate(`/search?q=${encodeURIComponent(query)}${this.buildFilterQuery()}`);
+    }
+
+    async showTrending() {
+        this.renderContinueWatching();
+        this.state.currentCategory = 'all';
+        this.state.currentQuery = null;
+        this.config.CURRENT_PAGE = 1;
+        this.config.HAS_MORE = true;
+        this.setPageTitle();
+        
+        document.getElementById('videoGrid').replaceChildren();
+        this.state.videos = [];
+        await this.loadTrendingVideos(1);
+    }
+
+    async showVideo(videoId) {
+        // Opened from a shared link: fill the library grid as well
+        if (this.state.videos.length === 0) {
+            this.loadTrendingVideos(1).catch(() => {});
+        }
+        
+        const video = await this.loadVideoDetails(videoId);
+        this.setPageTitle(video.user?.name ? `Video by ${video.user.name}` : null);
+    }
+
+    async showSearch(params) {
+        const query = (params.get('q') || '').trim();
+        const searchInput = document.getElementById('searchInput');
+        
+        if (!query) {
+            if (searchInput) searchInput.focus();
+            if (this.state.videos.length === 0) await this.showTrending();
+            return;
+        }
+        
+        // A search URL carries its own filters
+        this.state.filters = {};
+        FILTER_KEYS.forEach(key => {
+            if (params.get(key)) this.state.filters[key] = params.get(key);
+        });
+        this.syncFilterForm();
+        
+        if (searchInput) searchInput.value = query;
+        this.state.currentCategory = 'search';
+        this.config.CURRENT_PAGE = 1;
+        this.setPageTitle(`Search: ${query}`);
+        await this.searchVideos(query, 1);
+    }
+
+    showHistory() {
+        this.state.currentCategory = 'history';
+        this.state.currentQuery = null;
+        this.config.HAS_MORE = false;
+        this.setPageTitle('Watch history');
+        
+        const videoGrid = document.getElementById('videoGrid');
+        render(videoGrid, html`
+            <div class="col-12 history-toolbar">
+                <div class="d-flex flex-wrap gap-2 align-items-center">
+                    <h4 class="mb-0 me-auto"><i class="fas fa-history me-2"></i>Watch history</h4>
+                    <input type="search" class="form-control history-search" id="historySearch" placeholder="Search history" aria-label="Search history">
+                    <button class="btn btn-outline-danger" id="clearHistoryBtn">
+                        <i class="fas fa-trash me-1"></i> Clear all
+                    </button>
+                </div>
+            </div>
+            <div class="col-12">
+                <div id="historyResults" class="row row-cols-1 row-cols-sm-2 row-cols-md-3 row-cols-lg-4 row-cols-xl-5 g-4"></div>
+            </div>
+        `);
+        this.state.videos = [];
+        
+        const searchInput = document.getElementById('historySearch');
+        searchInput.addEventListener('input', () => this.renderHistory(searchInput.value));
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+            if (!confirm('Clear your entire watch history?')) return;
+            this.watchHistory.clear();
+            this.renderHistory();
+            this.renderContinueWatching();
+            this.showNotification('Watch history cleared');
+        });
+        
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (loadMoreBtn) loadMoreBtn.style.display = 'none';
+        
+        this.renderHistory();
+    }
+
+    renderHistory(term = '') {
+        const results = document.getElementById('historyResults');
+        if (!results) return;
+        
+        const entries = this.watchHistory.search(term);
+        results.replaceChildren();
+        
+        if (entries.length === 0) {
+            render(results, html`
+                <div class="col-12 text-center py-5">
+                    <i class="fas fa-history fa-3x mb-3 text-muted"></i>
+                    <h4 class="text-muted">${term ? 'No matching videos' : 'Nothing watched yet'}</h4>
+                </div>
+            `);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const card = this.createVideoCard(this.entryToVideo(entry));
+            this.addRemoveFooter(card, new Date(entry.watchedAt).toLocaleString(), 'Remove from history', () => {
+                this.watchHistory.remove(entry.id);
+                card.remove();
+                this.renderContinueWatching();
+                if (this.watchHistory.search(term).length === 0) this.renderHistory(term);
+            });
+            results.appendChild(card);
+        });
+    }
+
+    renderContinueWatching() {
+        const section = document.getElementById('continueWatching');
+        const list = document.getElementById('continueWatchingList');
+        if (!section || !list) return;
+        
+        const entries = this.watchHistory.inProgress().slice(0, 5);
+        section.classList.toggle('d-none', entries.length === 0);
+        
+        list.replaceChildren();
+        entries.forEach(entry => {
+            list.appendChild(this.createVideoCard(this.entryToVideo(entry)));
+        });
+    }
+
+    // Label (e.g. a date) and remove button under a card in the history, library and offline views
+    addRemoveFooter(card, label, title, onRemove) {
+        const footer = document.createElement('div');
+        footer.className = 'd-flex justify-content-between align-items-center mt-2';
+        render(footer, html`
+            <small class="text-muted">${label || ''}</small>
+            <button class="btn btn-sm btn-outline-danger card-remove" title="${title}">
+                <i class="fas fa-times"></i>
+            </button>
+        `);
+        footer.querySelector('.card-remove').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onRemove();
+        });
+        card.querySelector('.video-card-body').appendChild(footer);
+    }
+
+    // Slim copy of a video kept in history, the library and playlists
+    videoEntry(video) {
+        return {
+            id: video.id,
+            title: video.user?.name,
+            thumbnail: video.image || video.video_pictures?.[0]?.picture || null,
+            width: video.width,
+            height: video.height,
+            duration: video.duration
+        };
+    }
+
+    // Stored entries are slim; shape them like an API video for createVideoCard
+    entryToVideo(entry) {
+        return {
+            id: entry.id,
+            duration: entry.duration,
+            width: entry.width,
+            height: entry.height,
+            image: entry.thumbnail,
+            user: { name: entry.title }
+        };
+    }
+
+    // Library: liked and saved videos, and playlists
+    showLibrary(section) {
+        if (section !== 'liked' && section !== 'saved' && !this.playlists.get(section)) {
+            this.router.navigate('/library', { replace: true });
+            return;
+        }
+        
+        this.state.currentCategory = 'library';
+        this.state.currentQuery = null;
+        this.state.librarySection = section;
+        this.config.HAS_MORE = false;
+        this.setPageTitle('Library');
+        
+        const videoGrid = document.getElementById('videoGrid');
+        render(videoGrid, html`
+            <div class="col-12">
+                <div class="d-flex flex-wrap gap-2 align-items-center">
+                    <ul class="nav nav-pills library-tabs me-auto" id="libraryTabs"></ul>
+                    <button class="btn btn-outline-primary" id="newPlaylistBtn">
+                        <i class="fas fa-plus me-1"></i> New playlist
+                    </button>
+                </div>
+            </div>
+            <div class="col-12" id="libraryContent"></div>
+        `);
+        this.state.videos = [];
+        
+        document.getElementById('newPlaylistBtn').addEventListener('click', () => {
+            const playlist = this.createPlaylist();
+            if (playlist) this.router.navigate(`/library/${playlist.id}`);
+        });
+        
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (loadMoreBtn) loadMoreBtn.style.display = 'none';
+        
+        this.renderLibrary();
+    }
+
+    renderLibrary() {
+        const tabs = document.getElementById('libraryTabs');
+        const content = document.getElementById('libraryContent');
+        if (!tabs || !content) return;
+        
+        const section = this.state.librarySection;
+        const tab = (id, icon, name, count) => html`
+            <li class="nav-item">
+                <a class="nav-link${section === id ? ' active' : ''}" href="/library/${id}" data-link>
+                    <i class="fas ${icon} me-1"></i>${name}
+                    <span class="badge bg-secondary ms-1">${count}</span>
+                </a>
+            </li>
+        `;
+        render(tabs, html`${[
+            tab('liked', 'fa-thumbs-up', 'Liked', this.state.likedVideos.length),
+            tab('saved', 'fa-bookmark', 'Saved', this.state.savedVideos.length),
+            ...this.playlists.items.map(playlist => tab(playlist.id, 'fa-list', playlist.name, playlist.videos.length))
+        ]}`);
+        
+        if (section === 'liked' || section === 'saved') {
+            this.renderLibraryList(content, section);
+        } else if (this.playlists.get(section)) {
+            this.renderPlaylist(content, this.playlists.get(section));
+        } else {
+            // The playlist being viewed was deleted
+            this.router.navigate('/library', { replace: true });
+        }
+    }
+
+    renderLibraryList(content, section) {
+        const entries = section === 'liked' ? this.state.likedVideos : this.state.savedVideos;
+        
+        if (entries.length === 0) {
+            render(content, html`
+                <div class="text-center py-5">
+                    <i class="fas ${section === 'liked' ? 'fa-thumbs-up' : 'fa-bookmark'} fa-3x mb-3 text-muted"></i>
+                    <h4 class="text-muted">No ${section} videos yet</h4>
+                </div>
+            `);
+            return;
+        }
+        
+        render(content, html`<div class="row row-cols-1 row-cols-sm-2 row-cols-md-3 row-cols-lg-4 row-cols-xl-5 g-4"></div>`);
+        const grid = content.firstElementChild;
+        
+        // Newest first
+        [...entries].reverse().forEach(entry => {
+            const card = this.createVideoCard(this.entryToVideo(entry));
+            this.addRemoveFooter(card, new Date(entry.likedAt || entry.savedAt).toLocaleString(), 'Remove', () => {
+                this.setInLibrary(section, entry, false);
+                this.renderLibrary();
+            });
+            grid.appendChild(card);
+        });
+    }
+
+    renderPlaylist(content, playlist) {
+        render(content, html`
+            <div class="d-flex flex-wrap gap-2 align-items-center mb-3">
+                <h4 class="mb-0 me-auto">${playlist.name}</h4>
+                <button class="btn btn-primary playlist-play" ${playlist.videos.length ? '' : 'disabled'}>
+                    <i class="fas fa-play me-1"></i> Play all
+                </button>
+                <button class="btn btn-outline-secondary playlist-rename">
+                    <i class="fas fa-pen me-1"></i> Rename
+                </button>
+                <button class="btn btn-outline-danger playlist-delete">
+                    <i class="fas fa-trash me-1"></i> Delete
+                </button>
+            </div>
+            <div class="list-group playlist-items"></div>
+        `);
+        
+        content.querySelector('.playlist-play').addEventListener('click', () => this.playPlaylist(playlist.id));
+        content.querySelector('.playlist-rename').addEventListener('click', () => {
+            const name = prompt('Playlist name', playlist.name);
+            if (name && name.trim()) this.playlists.rename(playlist.id, name.trim());
+        });
+        content.querySelector('.playlist-delete').addEventListener('click', () => {
+            if (confirm(`Delete the playlist "${playlist.name}"?`)) this.playlists.delete(playlist.id);
+        });
+        
+        const list = content.querySelector('.playlist-items');
+        if (playlist.videos.length === 0) {
+            render(list, html`
+                <div class="list-group-item text-center text-muted py-5">
+                    <i class="fas fa-list fa-2x mb-3"></i>
+                    <p class="mb-0">Add videos with the <i class="fas fa-list"></i> button on a video or in the player</p>
+                </div>
+            `);
+            return;
+        }
+        
+        playlist.videos.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'list-group-item queue-item';
+            item.draggable = true;
+            render(item, html`
+                <div class="queue-number">${index + 1}</div>
+                <div class="queue-info">
+                    <h6 class="queue-title" title="${entry.title}">${entry.title}</h6>
+                    <div class="queue-duration">${this.formatDuration(entry.duration)}</div>
+                </div>
+                <div class="queue-actions">
+                    <button class="btn btn-sm btn-outline-light queue-play" title="Play">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger ms-1 queue-remove" title="Remove from playlist">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `);
+            
+            item.querySelector('.queue-play').addEventListener('click', () => this.openVideo(entry.id));
+            item.querySelector('.queue-remove').addEventListener('click', () => {
+                this.playlists.removeVideo(playlist.id, entry.id);
+            });
+            
+            // Drag to reorder, same as the queue
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                item.classList.add('drag-over');
+            });
+            item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                item.classList.remove('drag-over');
+                const fromIndex = parseInt(e.dataTransfer.getData('text/plain'));
+                if (!isNaN(fromIndex)) this.playlists.move(playlist.id, fromIndex, index);
+            });
+            
+            list.appendChild(item);
+        });
+    }
+
+    createPlaylist() {
+        const name = prompt('Playlist name');
+        if (!name || !name.trim()) return null;
+        
+        const playlist = this.playlists.create(name.trim());
+        this.showNotification(`Created playlist "${this.truncateText(playlist.name, 20)}"`);
+        return playlist;
+    }
+
+    // Load the playlist into the queue and start the first video
+    playPlaylist(playlistId) {
+        const playlist = this.playlists.get(playlistId);
+        if (!playlist || playlist.videos.length === 0) return;
+        
+        this.queue.replace(playlist.videos.map(entry => ({
+            id: entry.id,
+            title: entry.title,
+            duration: entry.duration,
+            thumbnail: entry.thumbnail
+        })));
+        this.openVideo(playlist.videos[0].id);
+        this.showNotification(`Playing "${this.truncateText(playlist.name, 20)}"`);
+    }
+
+    // Fill an add-to-playlist dropdown for a video
+    renderPlaylistMenu(menu, entry) {
+        render(menu, html`
+            ${this.playlists.items.map(playlist => html`
+                <li>
+                    <button class="dropdown-item" data-playlist="${playlist.id}">
+                        <i class="fas ${this.playlists.contains(playlist.id, entry.id) ? 'fa-check-square' : 'fa-square'} me-2"></i>${playlist.name}
+                    </button>
+                </li>
+            `)}
+            ${this.playlists.items.length > 0 && html`<li><hr class="dropdown-divider"></li>`}
+            <li>
+                <button class="dropdown-item" data-playlist="new">
+                    <i class="fas fa-plus me-2"></i>New playlist...
+                </button>
+            </li>
+        `);
+        
+        menu.querySelectorAll('[data-playlist]').forEach(option => {
+            option.addEventListener('click', () => {
+                let playlistId = option.dataset.playlist;
+                if (playlistId === 'new') {
+                    playlistId = this.createPlaylist()?.id;
+                    if (!playlistId) return;
+                }
+                
+                const playlist = this.playlists.get(playlistId);
+                if (this.playlists.contains(playlistId, entry.id)) {
+                    this.playlists.removeVideo(playlistId, entry.id);
+                    this.showNotification(`Removed from "${this.truncateText(playlist.name, 20)}"`);
+                } else {
+                    this.playlists.addVideo(playlistId, entry);
+                    this.showNotification(`Added to "${this.truncateText(playlist.name, 20)}"`);
+                }
+            });
+        });
+    }
+
+    setPageTitle(title) {
+        document.title = title ? `${title} - FreeViD` : 'FreeViD - Free Video Platform';
+    }
+
+    // UI Methods
+    displayVideos(videos, clear = false) {
+        const videoGrid = document.getElementById('videoGrid');
+        
+        if (clear) {
+            videoGrid.replaceChildren();
+            this.state.videos = [];
+        }
+        
+        if (!videos || videos.length === 0) {
+            render(videoGrid, html`
+                <div class="col-12 text-center py-5">
+                    <i class="fas fa-video-slash fa-3x mb-3 text-muted"></i>
+                    <h4 class="text-muted">No videos found</h4>
+                    <p class="text-muted">Try a different search term</p>
+                </div>
+            `);
+            return;
+        }
+        
+        videos.forEach(video => {
+            const videoElement = this.createVideoCard(video);
+            videoGrid.appendChild(videoElement);
+        });
+        
+        // Update load more button
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (loadMoreBtn) {
+            loadMoreBtn.style.display = this.config.HAS_MORE ? 'block' : 'none';
+        }
+    }
+
+    displayRelatedVideos(videos) {
+        const relatedContainer = document.getElementById('relatedVideos');
+        if (!relatedContainer) return;
+        
+        relatedContainer.replaceChildren();
+        
+        if (videos.length === 0) {
+            render(relatedContainer, html`
+                <div class="col-12 text-center text-muted py-4">
+                    <i class="fas fa-video-slash fa-2x mb-2"></i>
+                    <p class="mb-0">No related videos found</p>
+                </div>
+            `);
+            return;
+        }
+        
+        videos.forEach(video => {
+            const col = document.createElement('div');
+            col.className = 'col';
+            render(col, html`
+                <div class="video-card" data-video-id="${video.id}">
+                    <div class="video-thumbnail">
+                        <img src="${video.image}" 
+                             alt="${video.user.name}" 
+                             loading="lazy">
+                        <div class="video-badge">${this.formatDuration(video.duration)}</div>
+                    </div>
+                    <div class="video-card-body">
+                        <h6 class="video-card-title">${video.user.name}</h6>
+                        <div class="video-card-meta">
+                            <i class="fas fa-eye me-1"></i> ${this.formatNumber(video.avg_color || 0)}
+                        </div>
+                    </div>
+                </div>
+            `);
+            
+            col.addEventListener('click', () => this.openVideo(video.id));
+            relatedContainer.appendChild(col);
+        });
+    }
+
+    displayCollections(collections) {
+        const collectionsList = document.getElementById('collectionsList');
+        if (!collectionsList) return;
+        
+        collectionsList.replaceChildren();
+        
+        collections.forEach(collection => {
+            const item = document.createElement('div');
+            item.className = 'list-group-item collection-item';
+            render(item, html`
+                <div class="d-flex align-items-center">
+                    <div class="collection-icon me-3">
+                        <i class="fas fa-folder fa-lg text-primary"></i>
+                    </div>
+                    <div class="flex-grow-1">
+                        <h6 class="mb-1">${collection.name}</h6>
+                        <small class="text-muted">${this.formatCount(collection.count)} videos</small>
+                    </div>
+                    <i class="fas fa-chevron-right text-muted"></i>
+                </div>
+            `);
+            
+            item.addEventListener('click', () => this.router.navigate(`/collection/${encodeURIComponent(collection.id)}`));
+            collectionsList.appendChild(item);
+        });
+    }
+
+    // Sidebar lists built from FreeStream's own usage counts
+    async loadLocalTrending() {
+        const [popular, trending] = await Promise.all([
+            this.apiRequest('/popular/local?limit=5').catch(() => null),
+            this.apiRequest('/queries/top?limit=8').catch(() => null)
+        ]);
+        
+        this.displayPopularVideos(popular?.videos || []);
+        this.displayTrendingSearches(trending?.queries || []);
+    }
+
+    displayPopularVideos(videos) {
+        const list = document.getElementById('trendingVideos');
+        if (!list) return;
+        
+        if (videos.length === 0) {
+            render(list, html`
+                <div class="list-group-item text-center text-muted py-4">
+                    <small>Nothing has been played this week yet</small>
+                </div>
+            `);
+            return;
+        }
+        
+        list.replaceChildren();
+        videos.forEach(video => {
+            const title = video.user?.name || 'Unknown';
+            const thumbnail = video.image || video.video_pictures?.[0]?.picture;
+            const item = document.createElement('div');
+            item.className = 'list-group-item popular-item';
+            render(item, html`
+                ${thumbnail
+                    ? html`<img class="popular-thumb" src="${thumbnail}" alt="" loading="lazy">`
+                    : html`<div class="popular-thumb popular-thumb-empty"><i class="fas fa-film"></i></div>`}
+                <div class="popular-info">
+                    <h6 class="popular-title" title="${title}">${title}</h6>
+                    <div class="popular-meta">
+                        ${video.plays === 1 ? '1 play' : `${this.formatNumber(video.plays)} plays`} · ${this.formatDuration(video.duration || 0)}
+                    </div>
+                </div>
+            `);
+            item.addEventListener('click', () => this.openVideo(video.id));
+            list.appendChild(item);
+        });
+    }
+
+    displayTrendingSearches(queries) {
+        const card = document.getElementById('trendingSearchesCard');
+        const container = document.getElementById('trendingSearches');
+        if (!card || !container) return;
+        
+        card.classList.toggle('d-none', queries.length === 0);
+        render(container, html`${queries.map(({ query }) => html`
+            <a class="btn btn-sm btn-outline-secondary" href="/search?q=${encodeURIComponent(query)}" data-link>
+                <i class="fas fa-search me-1"></i>${query}
+            </a>
+        `)}`);
+    }
+
+    createVideoCard(video) {
+        const col = document.createElement('div');
+        col.className = 'col';
+        
+        const duration = video.duration || 0;
+        const fallbackThumbnail = 'https://images.pexels.com/videos/3045163/free-video-3045163.jpg';
+        const thumbnail = video.image || video.video_pictures?.[0]?.picture || fallbackThumbnail;
+        const photographer = video.user?.name || 'Unknown';
+        const progress = this.watchHistory.progress(video.id);
+        
+        render(col, html`
+            <div class="video-card fade-in" data-video-id="${video.id}">
+                <div class="video-thumbnail">
+                    <img src="${thumbnail}" 
+                         alt="${photographer}" 
+                         loading="lazy">
+                    <div class="video-badge">${this.formatDuration(duration)}</div>
+                    ${this.offlineEntries.has(String(video.id)) && html`
+                        <div class="offline-badge" title="Available offline"><i class="fas fa-check-circle"></i></div>
+                    `}
+                    ${progress > 0 && html`
+                        <div class="watch-progress" title="${Math.round(progress * 100)}% watched">
+                            <div class="watch-progress-bar"></div>
+                        </div>
+                    `}
+                    <div class="video-card-actions">
+                        <button class="btn btn-sm btn-primary play-btn">
+                            <i class="fas fa-play"></i>
+                        </button>
+                        <button class="btn btn-sm btn-secondary ms-2 queue-btn" title="Add to queue">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                        <div class="dropdown d-inline-block">
+                            <button class="btn btn-sm btn-secondary ms-2 playlist-btn" data-bs-toggle="dropdown" aria-expanded="false" title="Add to playlist">
+                                <i class="fas fa-list"></i>
+                            </button>
+                            <ul class="dropdown-menu playlist-menu"></ul>
+                        </div>
+                    </div>
+                </div>
+                <div class="video-card-body">
+                    <h6 class="video-card-title" title="${photographer}">${this.truncateText(photographer, 30)}</h6>
+                    <div class="video-card-meta">
+                        <i class="fas fa-user me-1"></i> ${photographer}
+                    </div>
+                    <div class="video-card-stats mt-2">
+                        <small class="text-muted">
+                            <i class="fas fa-video me-1"></i> ${video.width || 1920}x${video.height || 1080}
+                        </small>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        // Inline handlers and style attributes are blocked by the Content-Security-Policy
+        const image = col.querySelector('img');
+        image.addEventListener('error', () => {
+            if (image.src !== fallbackThumbnail) image.src = fallbackThumbnail;
+        });
+        col.querySelector('.watch-progress-bar')?.style.setProperty('width', `${Math.round(progress * 100)}%`);
+        
+        // Add event listeners
+        const playBtn = col.querySelector('.play-btn');
+        const queueBtn = col.querySelector('.queue-btn');
+        const card = col.querySelector('.video-card');
+        
+        playBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openVideo(video.id);
+        });
+        
+        queueBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.addToQueue(video.id, photographer, duration, thumbnail);
+        });
+        
+        col.querySelector('.playlist-btn').addEventListener('show.bs.dropdown', () => {
+            this.renderPlaylistMenu(col.querySelector('.playlist-menu'), this.videoEntry({ ...video, image: thumbnail }));
+        });
+        
+        card.addEventListener('click', (e) => {
+            // Clicks in the playlist dropdown shouldn't open the video
+            if (e.target.closest('.dropdown')) return;
+            this.openVideo(video.id);
+        });
+        
+        return col;
+    }
+
+    playVideo(video) {
+        // Update state
+        this.state.currentVideo = video;
+        
+        this.state.renditions = this.renditionSelector.list(video);
+        this.state.failedRenditions = new Set();
+        
+        if (this.state.renditions.length === 0) {
+            this.showError('No video file available', { code: 'NO_VIDEO_FILE' });
+            return;
+        }
+        this.trackVideo('play', video.id);
+        
+        // Update video player
+        const videoElement = document.getElementById('mainVideo');
+        const sourceElement = document.getElementById('videoSource');
+        const overlay = document.getElementById('videoOverlay');
+        
+        if (videoElement && sourceElement) {
+            // Pick up where we left off last time
+            const position = this.watchHistory.resumePosition(video.id);
+            if (position > 0) {
+                this.showNotification(`Resuming from ${this.formatDuration(position)}`);
+            }
+            
+            if (this.offlineEntries.has(String(video.id))) {
+                this.loadOfflineFile(this.offlineEntries.get(String(video.id)), { position });
+            } else {
+                this.loadRendition(this.renditionSelector.choose(this.state.renditions, videoElement), { position });
+            }
+            
+            // Hide overlay
+            if (overlay) {
+                overlay.classList.add('hidden');
+            }
+        }
+        
+        // Update video info
+        this.updateVideoInfo(video);
+        this.updateLibraryButtons();
+        this.updateOfflineButton();
+        
+        // Add to now playing
+        this.updateNowPlaying(video);
+        
+        // Add to history
+        this.addToHistory(video);
+    }
+
+    updateVideoInfo(video) {
+        // Update title
+        const titleElement = document.getElementById('videoTitle');
+        if (titleElement) {
+            titleElement.textContent = video.user?.name || 'Free Video';
+        }
         
-        this.state = {
-            currentVideo: null,
-            videoQueue: JSON.parse(localStorage.getItem('videoQueue')) || [],
-            likedVideos: JSON.parse(localStorage.getItem('likedVideos')) || [],
-            savedVideos: JSON.parse(localStorage.getItem('savedVideos')) || [],
-            searchHistory: JSON.parse(localStorage.getItem('searchHistory')) || [],
-            currentCategory: 'all',
-            isLoading: false,
-            videos: [],
-            collections: [],
-            categories: [
-                { id: 'nature', name: 'Nature', icon: 'fas fa-mountain' },
-                { id: 'technology', name: 'Technology', icon: 'fas fa-laptop-code' },
-                { id: 'business', name: 'Business', icon: 'fas fa-briefcase' },
-                { id: 'people', name: 'People', icon: 'fas fa-users' },
-                { id: 'animals', name: 'Animals', icon: 'fas fa-paw' },
-                { id: 'travel', name: 'Travel', icon: 'fas fa-plane' },
-                { id: 'sports', name: 'Sports', icon: 'fas fa-football-ball' },
-                { id: 'food', name: 'Food', icon: 'fas fa-utensils' },
-                { id: 'music', name: 'Music', icon: 'fas fa-music' },
-                { id: 'art', name: 'Art', icon: 'fas fa-palette' }
-            ]
-        };
+        // Update description
+        const descElement = document.getElementById('videoDescription');
+        if (descElement) {
+            descElement.textContent = video.user?.name 
+                ? `Video by ${video.user.name} on Pexels`
+                : 'Free stock video from Pexels';
+        }
         
-        this.cache = new Map();
-        this.init();
+        // Update duration
+        const durationElement = document.getElementById('videoDuration');
+        if (durationElement && video.duration) {
+            durationElement.textContent = this.formatDuration(video.duration);
+        }
+        
+        // Update photographer info
+        const photographerElement = document.getElementById('photographerName');
+        if (photographerElement) {
+            photographerElement.textContent = video.user?.name || 'Pexels Contributor';
+        }
+        
+        // Update camera info
+        const cameraElement = document.getElementById('cameraInfo');
+        if (cameraElement) {
+            cameraElement.textContent = video.user?.name || 'Unknown';
+        }
+        
+        // Update tags
+        const tagsElement = document.getElementById('videoTags');
+        if (tagsElement) {
+            tagsElement.textContent = video.video_tags?.length || 0;
+        }
     }
 
-    async init() {
-        try {
-            // Set theme
-            this.setTheme(this.config.THEME);
-            
-            // Load initial data
-            await this.loadTrendingVideos();
-            await this.loadCollections();
-            
-            // Setup event listeners
-            this.setupEventListeners();
-            
-            // Hide loading screen
-            setTimeout(() => {
-                document.getElementById('loadingScreen').classList.add('hidden');
-            }, 1000);
-            
-            // Check API health
-            await this.checkHealth();
-            
-            console.log('FreeStream initialized successfully');
-        } catch (error) {
-            console.error('Initialization error:', error);
-            this.showError('Failed to initialize application');
+    // Quality
+    loadRendition(rendition, { position = 0, play = false } = {}) {
+        const videoElement = document.getElementById('mainVideo');
+        const sourceElement = document.getElementById('videoSource');
+        
+        // Release the previous downloaded file, if one was playing
+        if (this.state.rendition?.offline && this.state.rendition !== rendition) {
+            URL.revokeObjectURL(this.state.rendition.link);
         }
+        
+        this.state.rendition = rendition;
+        sourceElement.src = RenditionSelector.link(rendition);
+        videoElement.load();
+        
+        if (position > 0 || play) {
+            videoElement.addEventListener('loadedmetadata', () => {
+                if (position > 0) videoElement.currentTime = position;
+                if (play) videoElement.play().catch(() => {});
+            }, { once: true });
+        }
+        
+        this.updateQualityMenu();
     }
 
-    // API Methods
-    async checkHealth() {
-        try {
-            const response = await fetch(`${this.config.API_BASE_URL}/health`);
-            if (response.ok) {
-                const stats = document.getElementById('statsInfo');
-                if (stats) {
-                    stats.innerHTML = '<i class="fas fa-circle"></i> API Connected';
-                    stats.className = 'text-success';
-                }
-            }
-        } catch (error) {
-            console.warn('API health check failed:', error);
-            const stats = document.getElementById('statsInfo');
-            if (stats) {
-                stats.innerHTML = '<i class="fas fa-circle"></i> API Offline';
-                stats.className = 'text-danger';
-            }
+    setQuality(preference) {
+        this.renditionSelector.setPreference(preference);
+        
+        const videoElement = document.getElementById('mainVideo');
+        const rendition = this.state.currentVideo
+            && this.renditionSelector.choose(this.state.renditions, videoElement, this.state.failedRenditions);
+        
+        // Swap the source but keep the playback position
+        if (rendition && rendition !== this.state.rendition) {
+            this.loadRendition(rendition, {
+                position: videoElement.currentTime,
+                play: !videoElement.paused
+            });
+        } else {
+            this.updateQualityMenu();
         }
     }
 
-    async loadTrendingVideos(page = 1) {
-        try {
-            this.showLoading(true);
-            
-            const cacheKey = `trending_${page}`;
-            const cached = this.getCached(cacheKey);
-            
-            if (cached) {
-                this.displayVideos(cached.videos);
-                return cached;
-            }
-            
-            const response = await fetch(
-                `${this.config.API_BASE_URL}/trending?page=${page}&per_page=${this.config.ITEMS_PER_PAGE}`
-            );
-            
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            const videos = data.videos || [];
-            
-            // Update state
-            this.state.videos = [...this.state.videos, ...videos];
-            this.config.HAS_MORE = data.next_page ? true : false;
-            
-            // Cache the response
-            this.setCached(cacheKey, { videos: videos, timestamp: Date.now() });
-            
-            // Update UI
-            this.displayVideos(videos);
-            this.updateVideoCount();
-            
-            return data;
-        } catch (error) {
-            console.error('Trending videos error:', error);
-            this.showError('Failed to load trending videos');
-            throw error;
-        } finally {
-            this.showLoading(false);
+    // The current file failed to load or decode: fall back to the next rendition down
+    handlePlaybackError() {
+        const failed = this.state.rendition;
+        if (!failed || this.state.failedRenditions.has(RenditionSelector.link(failed))) return;
+        this.state.failedRenditions.add(RenditionSelector.link(failed));
+        
+        const renditions = this.state.renditions;
+        const isUsable = file => !this.state.failedRenditions.has(RenditionSelector.link(file));
+        const fallback = renditions.slice(renditions.indexOf(failed) + 1).find(isUsable)
+                      || renditions.find(isUsable);
+        
+        if (!fallback) {
+            this.showError('Failed to play video. No other source is available.', { code: 'PLAYBACK_FAILED' });
+            return;
         }
+        
+        const videoElement = document.getElementById('mainVideo');
+        const position = videoElement.currentTime;
+        this.showNotification(`Couldn't play ${RenditionSelector.label(failed)}, switching to ${RenditionSelector.label(fallback)}`);
+        this.loadRendition(fallback, { position, play: position > 0 });
     }
 
-    async searchVideos(query, page = 1) {
-        try {
-            this.showLoading(true);
-            
-            const cacheKey = `search_${query}_${page}`;
-            const cached = this.getCached(cacheKey);
+    // Estimate throughput from how fast the buffer grows, times the rendition's bitrate
+    measureThroughput(videoElement) {
+        let sample = null;
+        
+        videoElement.addEventListener('progress', () => {
+            const rendition = this.state.rendition;
+            if (!rendition) return;
             
-            if (cached) {
-                this.displayVideos(cached.videos);
-                return cached;
+            const link = RenditionSelector.link(rendition);
+            const buffered = videoElement.buffered;
+            let seconds = 0;
+            for (let i = 0; i < buffered.length; i++) {
+                seconds += buffered.end(i) - buffered.start(i);
             }
+            const now = performance.now();
             
-            const response = await fetch(
-                `${this.config.API_BASE_URL}/search?q=${encodeURIComponent(query)}&page=${page}&per_page=${this.config.ITEMS_PER_PAGE}`
-            );
-            
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
+            if (!sample || sample.link !== link) {
+                sample = { link, seconds, time: now };
+                return;
             }
             
-            const data = await response.json();
-            const videos = data.videos || [];
-            
-            // Update search history
-            this.addToSearchHistory(query);
-            
-            // Update state
-            this.state.videos = page === 1 ? videos : [...this.state.videos, ...videos];
-            this.config.HAS_MORE = data.next_page ? true : false;
-            
-            // Cache the response
-            this.setCached(cacheKey, { videos: videos, timestamp: Date.now() });
-            
-            // Update UI
-            this.displayVideos(videos, page === 1);
+            const elapsed = (now - sample.time) / 1000;
+            if (elapsed < 1) return;
             
-            return data;
-        } catch (error) {
-            console.error('Search error:', error);
-            this.showError('Failed to search videos');
-            throw error;
-        } finally {
-            this.showLoading(false);
-        }
+            if (seconds > sample.seconds) {
+                const bits = (seconds - sample.seconds) * this.renditionSelector.estimatedBitrate(rendition);
+                this.renditionSelector.recordThroughput(bits / elapsed);
+            }
+            sample = { link, seconds, time: now };
+        });
     }
 
-    async loadVideoDetails(videoId) {
-        try {
-            this.showLoading(true);
-            
-            const cacheKey = `video_${videoId}`;
-            const cached = this.getCached(cacheKey);
-            
-            if (cached) {
-                this.playVideo(cached);
-                return cached;
-            }
-            
-            const response = await fetch(`${this.config.API_BASE_URL}/video/${videoId}`);
-            
-            if (!response.ok) {
-                throw new Error('Failed to load video details');
+    updateQualityMenu() {
+        const button = document.getElementById('videoQuality');
+        const menu = document.getElementById('qualityMenu');
+        const rendition = this.state.rendition;
+        const preference = this.renditionSelector.preference;
+        
+        if (button) {
+            const label = rendition ? RenditionSelector.label(rendition) : 'HD';
+            if (rendition?.offline) {
+                button.textContent = `Offline · ${label}`;
+            } else {
+                button.textContent = preference === 'auto' ? `Auto · ${label}` : label;
             }
-            
-            const video = await response.json();
-            
-            // Cache the response
-            this.setCached(cacheKey, video);
-            
-            // Play the video
-            this.playVideo(video);
-            
-            // Load related videos
-            this.loadRelatedVideos(videoId);
-            
-            return video;
-        } catch (error) {
-            console.error('Video details error:', error);
-            this.showError('Failed to load video');
-            throw error;
-        } finally {
-            this.showLoading(false);
         }
+        if (!menu) return;
+        
+        const renditions = this.state.renditions;
+        const tiers = RenditionSelector.TIERS
+            .filter(tier => renditions.some(file => RenditionSelector.tier(file) === tier));
+        const tierNames = { sd: 'SD', hd: 'HD', uhd: 'UHD (4K)' };
+        
+        const item = (value, text) => html`
+            <li>
+                <button class="dropdown-item${preference === value ? ' active' : ''}" data-quality="${value}">
+                    ${text}
+                </button>
+            </li>
+        `;
+        
+        render(menu, html`
+            ${item('auto', 'Auto')}
+            ${tiers.map(tier => item(tier, tierNames[tier]))}
+            ${renditions.length > 1 && html`<li><hr class="dropdown-divider"></li>`}
+            ${renditions.length > 1 && renditions.map(file => item(
+                RenditionSelector.label(file),
+                html`${RenditionSelector.label(file)} <small class="text-muted">${file.width}×${file.height}</small>`
+            ))}
+        `);
     }
 
-    async loadRelatedVideos(videoId) {
-        try {
-            // For Pexels, we search using the video's tags or similar terms
-            const response = await fetch(`${this.config.API_BASE_URL}/trending?per_page=6`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                const videos = data.videos || [];
-                this.displayRelatedVideos(videos);
-            }
-        } catch (error) {
-            console.error('Related videos error:', error);
+    updateNowPlaying(video) {
+        this.queue.setCurrent({
+            id: video.id,
+            title: video.user?.name || 'Unknown',
+            duration: video.duration || 0,
+            thumbnail: video.image || video.video_pictures?.[0]?.picture || null
+        });
+    }
+
+    renderQueue() {
+        const nowPlayingList = document.getElementById('nowPlayingList');
+        this.updateQueueCount();
+        this.updateQueueControls();
+        if (!nowPlayingList) return;
+        
+        const { current, upNext, history } = this.queue;
+        
+        if (!current && upNext.length === 0) {
+            render(nowPlayingList, html`
+                <div class="list-group-item text-center text-muted py-5">
+                    <i class="fas fa-music fa-2x mb-3"></i>
+                    <p>No video in queue</p>
+                    <small>Add videos from the list</small>
+                </div>
+            `);
+            return;
+        }
+        
+        nowPlayingList.replaceChildren();
+        
+        if (current) {
+            nowPlayingList.appendChild(this.createQueueItem(current, { active: true }));
+        }
+        
+        if (upNext.length > 0) {
+            nowPlayingList.appendChild(this.createQueueHeading('Up next'));
+            upNext.forEach((item, index) => {
+                nowPlayingList.appendChild(this.createQueueItem(item, { index: index }));
+            });
+        }
+        
+        if (history.length > 0) {
+            nowPlayingList.appendChild(this.createQueueHeading('Previously played'));
+            history.slice(0, 5).forEach(item => {
+                nowPlayingList.appendChild(this.createQueueItem(item, { played: true }));
+            });
+        }
+    }
+
+    createQueueHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'list-group-item queue-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    createQueueItem(item, { active = false, played = false, index = null } = {}) {
+        const element = document.createElement('div');
+        element.className = `list-group-item queue-item${active ? ' active' : ''}${played ? ' played' : ''}`;
+        
+        const marker = active
+            ? html`<i class="fas fa-volume-up"></i>`
+            : played ? html`<i class="fas fa-history"></i>` : index + 1;
+        
+        render(element, html`
+            <div class="queue-number">${marker}</div>
+            <div class="queue-info">
+                <h6 class="queue-title" title="${item.title}">${item.title}</h6>
+                <div class="queue-duration">${this.formatDuration(item.duration)}</div>
+            </div>
+            <div class="queue-actions">
+                ${!active && html`
+                    <button class="btn btn-sm btn-outline-light queue-play" title="Play now">
+                        <i class="fas fa-play"></i>
+                    </button>
+                `}
+                ${index !== null && html`
+                    <button class="btn btn-sm btn-outline-danger ms-1 queue-remove" title="Remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                `}
+            </div>
+        `);
+        
+        element.querySelector('.queue-play')?.addEventListener('click', () => this.openVideo(item.id));
+        element.querySelector('.queue-remove')?.addEventListener('click', () => this.queue.remove(item.id));
+        
+        // Drag to reorder the up-next list
+        if (index !== null) {
+            element.draggable = true;
+            element.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                element.classList.add('dragging');
+            });
+            element.addEventListener('dragend', () => element.classList.remove('dragging'));
+            element.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                element.classList.add('drag-over');
+            });
+            element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+            element.addEventListener('drop', (e) => {
+                e.preventDefault();
+                element.classList.remove('drag-over');
+                const fromIndex = parseInt(e.dataTransfer.getData('text/plain'));
+                if (!isNaN(fromIndex)) this.queue.move(fromIndex, index);
+            });
+        }
+        
+        return element;
+    }
+
+    updateQueueControls() {
+        const shuffleBtn = document.getElementById('shuffleBtn');
+        const repeatBtn = document.getElementById('repeatBtn');
+        
+        if (shuffleBtn) {
+            shuffleBtn.classList.toggle('active', this.queue.shuffle);
+            shuffleBtn.setAttribute('aria-pressed', this.queue.shuffle);
+        }
+        if (repeatBtn) {
+            const labels = { off: 'Repeat: off', all: 'Repeat: all', one: 'Repeat: one' };
+            repeatBtn.classList.toggle('active', this.queue.repeat !== 'off');
+            repeatBtn.title = labels[this.queue.repeat];
+            render(repeatBtn, this.queue.repeat === 'one'
+                ? html`<i class="fas fa-redo"></i><span class="repeat-one">1</span>`
+                : html`<i class="fas fa-redo"></i>`);
+        }
+    }
+
+    // total is the upstream result count of the trending list
+    updateVideoCount(total) {
+        const countElement = document.getElementById('videoCount');
+        if (countElement && Number.isFinite(total)) {
+            countElement.textContent = total.toLocaleString();
+        }
+    }
+
+    // Queue Management
+    addToQueue(videoId, title, duration, thumbnail = null) {
+        const added = this.queue.add({
+            id: videoId,
+            title: title,
+            duration: duration,
+            thumbnail: thumbnail
+        });
+        
+        if (added) this.trackVideo('queue_add', videoId);
+        this.showNotification(added
+            ? `Added "${this.truncateText(title, 20)}" to queue`
+            : `"${this.truncateText(title, 20)}" is already in the queue`);
+    }
+
+    updateQueueCount() {
+        const countElement = document.getElementById('queueCount');
+        if (countElement) {
+            countElement.textContent = this.queue.length;
         }
     }
 
-    async loadCollections() {
-        try {
-            const response = await fetch(`${this.config.API_BASE_URL}/collections`);
-            
-            if (response.ok) {
-                const collections = await response.json();
-                this.state.collections = collections;
-                this.displayCollections(collections);
-            }
-        } catch (error) {
-            console.error('Collections error:', error);
-        }
+    clearQueue() {
+        if (this.queue.length === 0) return;
+        this.queue.clear();
+        this.showNotification('Queue cleared');
     }
 
-    async loadCollectionVideos(collectionId) {
-        try {
-            this.showLoading(true);
-            
-            const response = await fetch(
-                `${this.config.API_BASE_URL}/collection/${collectionId}?per_page=${this.config.ITEMS_PER_PAGE}`
-            );
-            
-            if (response.ok) {
-                const data = await response.json();
-                const videos = data.videos || [];
-                this.displayVideos(videos, true);
-                this.showNotification(`Showing ${collectionId} collection`);
-            }
-        } catch (error) {
-            console.error('Collection videos error:', error);
-            this.showError('Failed to load collection');
-        } finally {
-            this.showLoading(false);
+    // Search History
+    addToSearchHistory(query) {
+        if (!query.trim()) return;
+        
+        // Remove duplicates
+        this.state.searchHistory = this.state.searchHistory.filter(item => item !== query);
+        
+        // Add to beginning
+        this.state.searchHistory.unshift(query);
+        
+        // Keep only last 10 items
+        if (this.state.searchHistory.length > 10) {
+            this.state.searchHistory.pop();
         }
+        
+        this.saveSearchHistory();
     }
 
-    // UI Methods
-    displayVideos(videos, clear = false) {
-        const videoGrid = document.getElementById('videoGrid');
+    saveSearchHistory() {
+        localStorage.setItem('searchHistory', JSON.stringify(this.state.searchHistory));
+        localStorage.setItem('searchHistoryUpdatedAt', new Date().toISOString());
+        this.sync.schedule('searches');
+    }
+
+    // Suggestions under the search box: matching recent searches straight away, then
+    // categories, collections, trending searches and keywords from the server.
+    // With nothing typed the recent searches are shown.
+    updateSearchSuggestions() {
+        const searchInput = document.getElementById('searchInput');
+        if (!searchInput) return;
         
-        if (clear) {
-            videoGrid.innerHTML = '';
-            this.state.videos = [];
-        }
+        const query = searchInput.value.trim();
+        const needle = query.toLowerCase();
+        const history = this.state.searchHistory
+            .filter(item => item.toLowerCase().includes(needle))
+            .slice(0, query ? 3 : 10)
+            .map(item => {
+                const start = item.toLowerCase().indexOf(needle);
+                return { text: item, type: 'history', highlight: query ? [start, start + needle.length] : null };
+            });
         
-        if (!videos || videos.length === 0) {
-            videoGrid.innerHTML = `
-                <div class="col-12 text-center py-5">
-                    <i class="fas fa-video-slash fa-3x mb-3 text-muted"></i>
-                    <h4 class="text-muted">No videos found</h4>
-                    <p class="text-muted">Try a different search term</p>
-                </div>
-            `;
+        clearTimeout(this.suggestTimer);
+        const request = ++this.suggestRequest;
+        
+        if (!query) {
+            this.showSuggestions(history.length > 0 ? [...history, { text: 'Clear history', type: 'clear' }] : []);
             return;
         }
+        this.showSuggestions(history);
         
-        videos.forEach(video => {
-            const videoElement = this.createVideoCard(video);
-            videoGrid.appendChild(videoElement);
-        });
-        
-        // Update load more button
-        const loadMoreBtn = document.getElementById('loadMoreBtn');
-        if (loadMoreBtn) {
-            loadMoreBtn.style.display = this.config.HAS_MORE ? 'block' : 'none';
-        }
+        this.suggestTimer = setTimeout(async () => {
+            try {
+                const data = await this.apiRequest(`/suggest?q=${encodeURIComponent(query)}&limit=8`);
+                // Typed on since: a newer request is on its way
+                if (request !== this.suggestRequest) return;
+                
+                const shown = new Set(history.map(item => item.text.toLowerCase()));
+                this.showSuggestions([
+                    ...history,
+                    ...data.suggestions.filter(item => !shown.has(item.text.toLowerCase()))
+                ]);
+            } catch (error) {
+                console.warn('Search suggestions failed:', error.message);
+            }
+        }, 150);
     }
 
-    displayRelatedVideos(videos) {
-        const relatedContainer = document.getElementById('relatedVideos');
-        if (!relatedContainer) return;
+    showSuggestions(items) {
+        const container = document.getElementById('searchSuggestions');
+        const searchInput = document.getElementById('searchInput');
+        if (!container || !searchInput) return;
+        
+        const icons = {
+            history: 'fa-history',
+            category: 'fa-film',
+            collection: 'fa-folder',
+            popular: 'fa-fire',
+            keyword: 'fa-search',
+            clear: 'fa-trash'
+        };
         
-        relatedContainer.innerHTML = '';
+        this.state.suggestions = items;
+        this.state.activeSuggestion = -1;
         
-        videos.forEach(video => {
-            const col = document.createElement('div');
-            col.className = 'col';
-            col.innerHTML = `
-                <div class="video-card" data-video-id="${video.id}">
-                    <div class="video-thumbnail">
-                        <img src="${video.image}" 
-                             alt="${video.user.name}" 
-                             loading="lazy">
-                        <div class="video-badge">${this.formatDuration(video.duration)}</div>
-                    </div>
-                    <div class="video-card-body">
-                        <h6 class="video-card-title">${video.user.name}</h6>
-                        <div class="video-card-meta">
-                            <i class="fas fa-eye me-1"></i> ${this.formatNumber(video.avg_color || 0)}
-                        </div>
-                    </div>
-                </div>
-            `;
-            
-            col.addEventListener('click', () => this.loadVideoDetails(video.id));
-            relatedContainer.appendChild(col);
+        render(container, html`${items.map((item, index) => html`
+            <div class="suggestion-item${item.type === 'clear' ? ' text-danger' : ''}" id="suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+                <i class="fas ${icons[item.type]} me-2${item.type === 'clear' ? '' : ' text-muted'}"></i>${this.highlightMatch(item.text, item.highlight)}
+                ${(item.type === 'category' || item.type === 'collection') && html`<small class="text-muted ms-2">${item.type}</small>`}
+            </div>
+        `)}`);
+        
+        container.querySelectorAll('.suggestion-item').forEach(element => {
+            element.addEventListener('click', () => this.chooseSuggestion(items[element.dataset.index]));
         });
+        
+        // Only open while the user is in the search box, not when history changes elsewhere
+        const open = items.length > 0 && document.activeElement === searchInput;
+        container.classList.toggle('show', open);
+        searchInput.setAttribute('aria-expanded', String(open));
+        searchInput.removeAttribute('aria-activedescendant');
     }
 
-    displayCollections(collections) {
-        const collectionsList = document.getElementById('collectionsList');
-        if (!collectionsList) return;
+    // Bold the part of a suggestion that matched what was typed
+    highlightMatch(text, range) {
+        if (!range) return text;
+        const [start, end] = range;
+        return html`${text.slice(0, start)}<mark>${text.slice(start, end)}</mark>${text.slice(end)}`;
+    }
+
+    // Arrow keys: step through the suggestions, wrapping round through the typed text
+    moveSuggestion(step) {
+        const container = document.getElementById('searchSuggestions');
+        const searchInput = document.getElementById('searchInput');
+        if (!container.classList.contains('show')) {
+            this.updateSearchSuggestions();
+            return;
+        }
         
-        collectionsList.innerHTML = '';
+        const count = this.state.suggestions.length;
+        let index = this.state.activeSuggestion + step;
+        if (index < -1) index = count - 1;
+        if (index >= count) index = -1;
+        this.state.activeSuggestion = index;
         
-        collections.forEach(collection => {
-            const item = document.createElement('div');
-            item.className = 'list-group-item collection-item';
-            item.innerHTML = `
-                <div class="d-flex align-items-center">
-                    <div class="collection-icon me-3">
-                        <i class="fas fa-folder fa-lg text-primary"></i>
-                    </div>
-                    <div class="flex-grow-1">
-                        <h6 class="mb-1">${collection.name}</h6>
-                        <small class="text-muted">${collection.count} videos</small>
-                    </div>
-                    <i class="fas fa-chevron-right text-muted"></i>
-                </div>
-            `;
-            
-            item.addEventListener('click', () => this.loadCollectionVideos(collection.id));
-            collectionsList.appendChild(item);
+        container.querySelectorAll('.suggestion-item').forEach((element, position) => {
+            element.classList.toggle('active', position === index);
+            element.setAttribute('aria-selected', String(position === index));
         });
+        
+        if (index === -1) {
+            searchInput.removeAttribute('aria-activedescendant');
+        } else {
+            const element = document.getElementById(`suggestion-${index}`);
+            searchInput.setAttribute('aria-activedescendant', element.id);
+            element.scrollIntoView?.({ block: 'nearest' });
+        }
     }
 
-    createVideoCard(video) {
-        const col = document.createElement('div');
-        col.className = 'col';
-        
-        const duration = video.duration || 0;
-        const thumbnail = video.image || video.video_pictures?.[0]?.picture || 'https://images.pexels.com/videos/3045163/free-video-3045163.jpg';
-        const photographer = video.user?.name || 'Unknown';
+    chooseSuggestion(item) {
+        const searchInput = document.getElementById('searchInput');
+        this.closeSuggestions();
         
-        col.innerHTML = `
-            <div class="video-card fade-in" data-video-id="${video.id}">
-                <div class="video-thumbnail">
-                    <img src="${thumbnail}" 
-                         alt="${photographer}" 
-                         loading="lazy"
-                         onerror="this.src='https://images.pexels.com/videos/3045163/free-video-3045163.jpg'">
-                    <div class="video-badge">${this.formatDuration(duration)}</div>
-                    <div class="video-card-actions">
-                        <button class="btn btn-sm btn-primary play-btn">
-                            <i class="fas fa-play"></i>
-                        </button>
-                        <button class="btn btn-sm btn-secondary ms-2 queue-btn">
-                            <i class="fas fa-plus"></i>
-                        </button>
-                    </div>
-                </div>
-                <div class="video-card-body">
-                    <h6 class="video-card-title" title="${photographer}">${this.truncateText(photographer, 30)}</h6>
-                    <div class="video-card-meta">
-                        <i class="fas fa-user me-1"></i> ${photographer}
-                    </div>
-                    <div class="video-card-stats mt-2">
-                        <small class="text-muted">
-                            <i class="fas fa-video me-1"></i> ${video.width || 1920}x${video.height || 1080}
-                        </small>
-                    </div>
-                </div>
-            </div>
-        `;
+        if (item.type === 'clear') {
+            this.state.searchHistory = [];
+            this.saveSearchHistory();
+            return;
+        }
         
-        // Add event listeners
-        const playBtn = col.querySelector('.play-btn');
-        const queueBtn = col.querySelector('.queue-btn');
-        const card = col.querySelector('.video-card');
+        searchInput.blur();
+        if (item.type === 'category' || item.type === 'collection') {
+            searchInput.value = '';
+            this.router.navigate(`/${item.type}/${encodeURIComponent(item.id)}`);
+        } else {
+            searchInput.value = item.text;
+            this.openSearch(item.text);
+        }
+    }
+
+    closeSuggestions() {
+        clearTimeout(this.suggestTimer);
+        this.suggestRequest++;
+        this.state.activeSuggestion = -1;
         
-        playBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.loadVideoDetails(video.id);
+        document.getElementById('searchSuggestions')?.classList.remove('show');
+        const searchInput = document.getElementById('searchInput');
+        searchInput?.setAttribute('aria-expanded', 'false');
+        searchInput?.removeAttribute('aria-activedescendant');
+    }
+
+    // Accounts & Sync
+    syncAdapters() {
+        const time = value => Date.parse(value) || 0;
+        
+        // Unordered collections sync item by item
+        const list = (read, stamp, apply) => ({
+            records: () => read().map(item => ({ id: String(item.id), updatedAt: time(stamp(item)), data: item })),
+            apply: apply
+        });
+        // Ordered ones sync as a single document, newest copy wins
+        const documentOf = (read, stamp, apply) => ({
+            records: () => {
+                const value = read();
+                return value ? [{ id: 'document', updatedAt: time(stamp(value)), data: value }] : [];
+            },
+            apply: ([value]) => value && apply(value)
         });
         
-        queueBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.addToQueue(video.id, photographer, duration);
+        return {
+            likes: list(() => this.state.likedVideos, item => item.likedAt, items => this.replaceLibrary('liked', items)),
+            saves: list(() => this.state.savedVideos, item => item.savedAt, items => this.replaceLibrary('saved', items)),
+            history: list(() => this.watchHistory.entries, item => item.watchedAt, items => this.watchHistory.replace(items)),
+            playlists: list(() => this.playlists.items, item => item.updatedAt || item.createdAt, items => this.playlists.replace(items)),
+            queue: documentOf(() => this.queue.toJSON(), value => value.updatedAt, value => this.queue.restore(value)),
+            searches: documentOf(
+                () => ({ queries: this.state.searchHistory, updatedAt: localStorage.getItem('searchHistoryUpdatedAt') }),
+                value => value.updatedAt,
+                value => {
+                    this.state.searchHistory = value.queries || [];
+                    localStorage.setItem('searchHistory', JSON.stringify(this.state.searchHistory));
+                    localStorage.setItem('searchHistoryUpdatedAt', value.updatedAt);
+                }
+            )
+        };
+    }
+
+    setupAccount() {
+        document.getElementById('accountBtn')?.addEventListener('click', () => {
+            this.renderAccount();
+            bootstrap.Modal.getOrCreateInstance('#accountModal').show();
         });
         
-        card.addEventListener('click', () => {
-            this.loadVideoDetails(video.id);
+        // Pick up changes made on other devices when coming back to the tab
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.sync.user) this.sync.syncAll();
         });
         
-        return col;
+        this.renderAccount();
+        if (this.sync.user) this.sync.syncAll();
     }
 
-    playVideo(video) {
-        // Update state
-        this.state.currentVideo = video;
-        
-        // Get best quality video file
-        const videoFile = video.video_files?.find(file => file.quality === 'hd') 
-                        || video.video_files?.[0]
-                        || video.video_files;
+    renderAccount() {
+        const accountBtn = document.getElementById('accountBtn');
+        const body = document.getElementById('accountBody');
+        const user = this.sync.user;
+        
+        if (accountBtn) {
+            accountBtn.classList.toggle('active', !!user);
+            accountBtn.title = user ? `Signed in as ${user.username}` : 'Sign in';
+        }
+        if (!body) return;
+        
+        if (user) {
+            const lastSync = this.sync.lastSync;
+            render(body, html`
+                <p class="mb-1">Signed in as <strong>${user.username}</strong></p>
+                <p class="small text-muted mb-3">
+                    ${this.sync.error
+                        ? html`<span class="text-danger">Sync failed: ${this.sync.error.message}</span>`
+                        : `Last synced: ${lastSync ? new Date(lastSync).toLocaleString() : 'never'}`}
+                </p>
+                <p class="small">Likes, saved videos, playlists, the queue, watch history and searches are synced to your account.</p>
+                <div class="d-flex gap-2">
+                    <button class="btn btn-primary" id="syncNowBtn">
+                        <i class="fas fa-sync-alt me-1"></i> Sync now
+                    </button>
+                    <button class="btn btn-outline-light" id="signOutBtn">
+                        <i class="fas fa-sign-out-alt me-1"></i> Sign out
+                    </button>
+                </div>
+            `);
+            document.getElementById('syncNowBtn').addEventListener('click', async () => {
+                await this.sync.syncAll();
+                if (!this.sync.error) this.showNotification('Synced');
+            });
+            document.getElementById('signOutBtn').addEventListener('click', () => {
+                this.sync.signOut();
+                this.showNotification('Signed out. Your data stays on this device.');
+            });
+            return;
+        }
         
-        if (!videoFile) {
+        render(body, html`
+            <p class="small">Sign in to keep likes, playlists, the queue and history in sync across devices.</p>
+            <form id="accountForm" novalidate>
+                <div class="mb-3">
+                    <label class="form-label" for="accountUsername">Username</label>
+                    <input type="text" class="form-control" id="accountUsername" autocomplete="username" required>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="accountPassword">Password</label>
+                    <input type="password" class="form-control" id="accountPassword" autocomplete="current-password" required>
+                    <div class="form-text">At least 8 characters when creating an account.</div>
+                </div>
+                <div class="text-danger small mb-3 d-none" id="accountError"></div>
+                <div class="d-flex gap-2">
+                    <button type="submit" class="btn btn-primary" data-mode="login">Sign in</button>
+                    <button type="submit" class="btn btn-outline-light" data-mode="register">Create account</button>
+                </div>
+            </form>
+        `);
+        
+        const form = document.getElementById('accountForm');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const mode = e.submitter?.dataset.mode || 'login';
+            const errorElement = document.getElementById('accountError');
+            
+            try {
+                await this.sync.signIn(
+                    mode,
+                    document.getElementById('accountUsername').value,
+                    document.getElementById('accountPassword').value
+                );
+                this.showNotification(mode === 'register' ? 'Account created' : `Welcome back, ${this.sync.user.username}`);
+            } catch (error) {
+                if (!errorElement) return;
+                errorElement.textContent = error.message;
+                errorElement.classList.remove('d-none');
+            }
+        });
+    }
+
+    // Offline
+    async loadOfflineIndex() {
+        try {
+            const entries = await this.offline.list();
+            this.offlineEntries = new Map(entries.map(entry => [String(entry.id), entry]));
+        } catch (error) {
+            console.warn('Offline storage unavailable:', error);
+        }
+    }
+
+    // Same-origin media is fetched directly, anything else through the proxy
+    mediaUrl(link) {
+        const url = new URL(link, window.location.href);
+        return url.origin === window.location.origin
+            ? url.href
+            : `${this.config.API_BASE_URL}/proxy/video?url=${encodeURIComponent(url.href)}`;
+    }
+
+    toggleOffline() {
+        const video = this.state.currentVideo;
+        if (!video) return;
+        
+        const id = String(video.id);
+        if (this.downloads.has(id)) {
+            this.downloads.get(id).controller.abort();
+        } else if (this.offlineEntries.has(id)) {
+            if (confirm('Remove this video from offline storage?')) this.removeOffline(id);
+        } else {
+            this.saveOffline(video);
+        }
+    }
+
+    async saveOffline(video) {
+        const id = String(video.id);
+        if (this.offlineEntries.has(id) || this.downloads.has(id)) return;
+        
+        // The rendition playing now, or what the player would pick
+        const isCurrent = this.state.currentVideo && String(this.state.currentVideo.id) === id;
+        const rendition = (isCurrent && this.state.rendition && !this.state.rendition.offline)
+            ? this.state.rendition
+            : this.renditionSelector.choose(this.renditionSelector.list(video), document.getElementById('mainVideo'));
+        if (!rendition) {
             this.showError('No video file available');
             return;
         }
         
-        // Update video player
-        const videoElement = document.getElementById('mainVideo');
-        const sourceElement = document.getElementById('videoSource');
-        const overlay = document.getElementById('videoOverlay');
+        const download = { progress: 0, controller: new AbortController() };
+        this.downloads.set(id, download);
+        this.updateOfflineButton();
         
-        if (videoElement && sourceElement) {
-            sourceElement.src = videoFile.link || videoFile.url;
-            videoElement.load();
+        try {
+            // Ask the browser not to evict downloads when storage runs low
+            navigator.storage?.persist?.();
             
-            // Hide overlay
-            if (overlay) {
-                overlay.classList.add('hidden');
+            const response = await fetch(this.mediaUrl(RenditionSelector.link(rendition)), {
+                signal: download.controller.signal
+            });
+            if (!response.ok) throw new Error(`Download failed (HTTP ${response.status})`);
+            
+            const total = parseInt(response.headers.get('Content-Length')) || 0;
+            const reader = response.body.getReader();
+            const chunks = [];
+            let received = 0;
+            
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                received += value.length;
+                download.progress = total ? received / total : 0;
+                this.updateOfflineButton();
+            }
+            
+            const file = new Blob(chunks, { type: response.headers.get('Content-Type') || 'video/mp4' });
+            const thumbnailUrl = video.image || video.video_pictures?.[0]?.picture || null;
+            const thumbnail = thumbnailUrl
+                ? await fetch(thumbnailUrl).then(res => (res.ok ? res.blob() : null)).catch(() => null)
+                : null;
+            
+            const entry = {
+                id: id,
+                video: video,
+                rendition: {
+                    width: rendition.width,
+                    height: rendition.height,
+                    quality: rendition.quality,
+                    file_type: rendition.file_type
+                },
+                size: file.size + (thumbnail?.size || 0),
+                thumbnailUrl: thumbnailUrl,
+                savedAt: new Date().toISOString()
+            };
+            await this.offline.put(entry, { video: file, thumbnail: thumbnail });
+            this.offlineEntries.set(id, entry);
+            
+            this.showNotification(`Available offline (${this.formatBytes(entry.size)})`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showNotification('Download cancelled');
+            } else if (error.name === 'QuotaExceededError') {
+                this.showError('Not enough storage space. Remove some offline videos and try again.');
+            } else {
+                console.error('Offline download error:', error);
+                this.showError('Failed to save the video for offline use', error);
             }
+        } finally {
+            this.downloads.delete(id);
+            this.updateOfflineButton();
+            this.renderOffline();
+        }
+    }
+
+    async removeOffline(id) {
+        await this.offline.delete(id);
+        this.offlineEntries.delete(String(id));
+        this.updateOfflineButton();
+        this.renderOffline();
+        this.showNotification('Removed from offline storage');
+    }
+
+    // Play a downloaded file. Blob URLs support seeking like any other source.
+    async loadOfflineFile(entry, { position = 0 } = {}) {
+        const file = await this.offline.getFile(entry.id).catch(() => null);
+        
+        if (!file?.video) {
+            // The file was evicted or deleted elsewhere: fall back to streaming
+            this.offlineEntries.delete(String(entry.id));
+            this.loadRendition(this.renditionSelector.choose(this.state.renditions, document.getElementById('mainVideo')), { position });
+            return;
         }
         
-        // Update video info
-        this.updateVideoInfo(video);
-        
-        // Add to now playing
-        this.updateNowPlaying(video);
-        
-        // Add to history
-        this.addToHistory(video);
+        this.loadRendition({
+            ...entry.rendition,
+            link: URL.createObjectURL(file.video),
+            offline: true
+        }, { position });
     }
 
-    updateVideoInfo(video) {
-        // Update title
-        const titleElement = document.getElementById('videoTitle');
-        if (titleElement) {
-            titleElement.textContent = video.user?.name || 'Free Video';
+    updateOfflineButton() {
+        const button = document.getElementById('offlineBtn');
+        const video = this.state.currentVideo;
+        if (!button) return;
+        
+        const id = video && String(video.id);
+        const download = id && this.downloads.get(id);
+        const saved = id && this.offlineEntries.has(id);
+        
+        button.classList.toggle('active', !!saved);
+        if (download) {
+            button.title = 'Cancel download';
+            render(button, html`<i class="fas fa-spinner fa-spin"></i> ${Math.round(download.progress * 100)}%`);
+        } else {
+            button.title = saved ? 'Available offline (click to remove)' : 'Make available offline';
+            render(button, html`<i class="fas ${saved ? 'fa-check-circle' : 'fa-arrow-circle-down'}"></i>`);
         }
+    }
+
+    showOffline() {
+        this.state.currentCategory = 'offline';
+        this.state.currentQuery = null;
+        this.config.HAS_MORE = false;
+        this.setPageTitle('Offline');
+        
+        const videoGrid = document.getElementById('videoGrid');
+        render(videoGrid, html`
+            <div class="col-12">
+                <div class="d-flex flex-wrap gap-2 align-items-center">
+                    <h4 class="mb-0 me-auto"><i class="fas fa-cloud-download-alt me-2"></i>Offline</h4>
+                    <button class="btn btn-outline-danger" id="clearOfflineBtn">
+                        <i class="fas fa-trash me-1"></i> Delete all
+                    </button>
+                </div>
+                <div class="storage-usage mt-3" id="storageUsage"></div>
+            </div>
+            <div class="col-12">
+                <div id="offlineResults" class="row row-cols-1 row-cols-sm-2 row-cols-md-3 row-cols-lg-4 row-cols-xl-5 g-4"></div>
+            </div>
+        `);
+        this.state.videos = [];
+        
+        document.getElementById('clearOfflineBtn').addEventListener('click', async () => {
+            if (this.offlineEntries.size === 0 || !confirm('Delete all offline videos?')) return;
+            await this.offline.clear();
+            this.offlineEntries.clear();
+            this.updateOfflineButton();
+            this.renderOffline();
+            this.showNotification('Offline videos deleted');
+        });
         
-        // Update description
-        const descElement = document.getElementById('videoDescription');
-        if (descElement) {
-            descElement.textContent = video.user?.name 
-                ? `Video by ${video.user.name} on Pexels`
-                : 'Free stock video from Pexels';
-        }
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (loadMoreBtn) loadMoreBtn.style.display = 'none';
         
-        // Update duration
-        const durationElement = document.getElementById('videoDuration');
-        if (durationElement && video.duration) {
-            durationElement.textContent = this.formatDuration(video.duration);
+        this.renderOffline();
+    }
+
+    async renderOffline() {
+        const results = document.getElementById('offlineResults');
+        if (!results) return;
+        
+        const entries = [...this.offlineEntries.values()]
+            .sort((a, b) => Date.parse(b.savedAt) - Date.parse(a.savedAt));
+        const used = entries.reduce((total, entry) => total + entry.size, 0);
+        
+        // Storage manager: what the downloads take up, out of what the browser allows
+        const usage = document.getElementById('storageUsage');
+        const estimate = await navigator.storage?.estimate?.().catch(() => null);
+        if (usage) {
+            const percent = estimate?.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+            render(usage, html`
+                <div class="small text-muted mb-1">
+                    ${entries.length} videos, ${this.formatBytes(used)}
+                    ${estimate?.quota ? ` · ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} browser storage used` : ''}
+                </div>
+                ${estimate?.quota ? html`
+                    <div class="progress" role="progressbar" aria-valuenow="${Math.round(percent)}" aria-valuemin="0" aria-valuemax="100">
+                        <div class="progress-bar"></div>
+                    </div>
+                ` : ''}
+            `);
+            // Set through the CSSOM: the Content-Security-Policy blocks inline style attributes
+            usage.querySelector('.progress-bar')?.style.setProperty('width', `${percent}%`);
         }
         
-        // Update quality
-        const qualityElement = document.getElementById('videoQuality');
-        if (qualityElement) {
-            const bestQuality = video.video_files?.find(f => f.quality === 'hd') 
-                             || video.video_files?.[0];
-            qualityElement.textContent = bestQuality?.quality?.toUpperCase() || 'HD';
-        }
+        (this.offlineThumbnails || []).forEach(url => URL.revokeObjectURL(url));
+        this.offlineThumbnails = [];
+        results.replaceChildren();
         
-        // Update photographer info
-        const photographerElement = document.getElementById('photographerName');
-        if (photographerElement) {
-            photographerElement.textContent = video.user?.name || 'Pexels Contributor';
+        if (entries.length === 0) {
+            render(results, html`
+                <div class="col-12 text-center py-5">
+                    <i class="fas fa-cloud-download-alt fa-3x mb-3 text-muted"></i>
+                    <h4 class="text-muted">No offline videos</h4>
+                    <p class="text-muted">Use the <i class="fas fa-arrow-circle-down"></i> button in the player to save a video</p>
+                </div>
+            `);
+            return;
         }
         
-        // Update camera info
-        const cameraElement = document.getElementById('cameraInfo');
-        if (cameraElement) {
-            cameraElement.textContent = video.user?.name || 'Unknown';
+        for (const entry of entries) {
+            // Show the stored thumbnail so the list works without a connection
+            const file = await this.offline.getFile(entry.id).catch(() => null);
+            let image = entry.thumbnailUrl;
+            if (file?.thumbnail) {
+                image = URL.createObjectURL(file.thumbnail);
+                this.offlineThumbnails.push(image);
+            }
+            
+            const card = this.createVideoCard({ ...entry.video, image: image });
+            this.addRemoveFooter(card, `${RenditionSelector.label(entry.rendition)} · ${this.formatBytes(entry.size)}`, 'Delete download', () => {
+                this.removeOffline(entry.id);
+            });
+            results.appendChild(card);
         }
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+    }
+
+    // Export & Import
+    setupDataTools() {
+        document.getElementById('exportDataBtn')?.addEventListener('click', () => this.exportData());
+        
+        const input = document.getElementById('importDataInput');
+        input?.addEventListener('change', async () => {
+            const file = input.files[0];
+            input.value = '';
+            if (file) await this.previewImport(await file.text());
+        });
+    }
+
+    exportData() {
+        const bundle = DataBundle.create(DataBundle.fromStorage());
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
         
-        // Update tags
-        const tagsElement = document.getElementById('videoTags');
-        if (tagsElement) {
-            tagsElement.textContent = video.video_tags?.length || 0;
-        }
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `freestream-data-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        this.showNotification('Data exported');
     }
 
-    updateNowPlaying(video) {
-        const nowPlayingList = document.getElementById('nowPlayingList');
-        if (!nowPlayingList) return;
+    // Show what a file contains and let the user merge it or replace their data
+    async previewImport(text) {
+        const preview = document.getElementById('importPreview');
+        if (!preview) return;
         
-        const duration = video.duration ? this.formatDuration(video.duration) : '0:00';
-        const photographer = video.user?.name || 'Unknown';
+        let data;
+        try {
+            data = DataBundle.parse(text);
+        } catch (error) {
+            render(preview, html`<div class="text-danger small">Can't import this file: ${error.message}</div>`);
+            return;
+        }
         
-        nowPlayingList.innerHTML = `
-            <div class="list-group-item active">
-                <div class="d-flex align-items-center">
-                    <div class="queue-number">1</div>
-                    <div class="queue-info">
-                        <h6 class="queue-title">${photographer}</h6>
-                        <div class="queue-duration">${duration}</div>
-                    </div>
-                    <div class="queue-actions">
-                        <button class="btn btn-sm btn-outline-light">
-                            <i class="fas fa-play"></i>
-                        </button>
-                    </div>
-                </div>
+        const counts = DataBundle.summary(data);
+        render(preview, html`
+            <p class="small mb-2">
+                This file has ${counts.liked} liked and ${counts.saved} saved videos, ${counts.playlists} playlists,
+                ${counts.history} watched videos, ${counts.queued} queued videos and ${counts.searches} searches.
+            </p>
+            <div class="d-flex gap-2">
+                <button class="btn btn-sm btn-primary" data-import="merge">Merge with my data</button>
+                <button class="btn btn-sm btn-outline-danger" data-import="replace">Replace my data</button>
+                <button class="btn btn-sm btn-outline-light" data-import="cancel">Cancel</button>
             </div>
-        `;
+        `);
+        
+        preview.querySelectorAll('[data-import]').forEach(button => {
+            button.addEventListener('click', () => {
+                const mode = button.dataset.import;
+                preview.replaceChildren();
+                if (mode === 'cancel') return;
+                
+                this.applyData(mode === 'merge' ? DataBundle.merge(DataBundle.normalize(DataBundle.fromStorage()), data) : data);
+                this.showNotification(mode === 'merge' ? 'Data merged' : 'Data replaced');
+            });
+        });
     }
 
-    updateVideoCount() {
-        const countElement = document.getElementById('videoCount');
-        if (countElement) {
-            // For Pexels, we can't get total count, so show approximate
-            countElement.textContent = '10,000+';
-        }
+    applyData(data) {
+        this.replaceLibrary('liked', data.likedVideos);
+        this.replaceLibrary('saved', data.savedVideos);
+        this.watchHistory.replace(data.watchHistory);
+        this.playlists.replace(data.playlists);
+        this.queue.restore(data.videoQueue || { version: 2, upNext: [], history: [], current: null, shuffle: false, repeat: 'off' });
+        this.state.searchHistory = data.searchHistory;
+        this.saveSearchHistory();
+        
+        this.renderContinueWatching();
+        if (this.sync.user) this.sync.syncAll();
+        this.enrichEntries();
     }
 
-    // Queue Management
-    addToQueue(videoId, title, duration) {
-        const queueItem = {
-            id: videoId,
-            title: title,
-            duration: duration,
-            addedAt: new Date().toISOString()
-        };
+    // Look up thumbnails and details for entries that were saved without them
+    async enrichEntries(limit = 20) {
+        const entries = () => [
+            ...this.state.likedVideos,
+            ...this.state.savedVideos,
+            ...this.watchHistory.entries,
+            ...this.playlists.items.flatMap(playlist => playlist.videos)
+        ];
+        const missing = [...new Set(entries()
+            .filter(entry => entry.thumbnail === null || entry.thumbnail === undefined)
+            .map(entry => String(entry.id)))].slice(0, limit);
+        if (missing.length === 0) return;
+        
+        for (const id of missing) {
+            try {
+                const details = this.videoEntry(await this.apiRequest(`/video/${encodeURIComponent(id)}`));
+                entries().filter(entry => String(entry.id) === id).forEach(entry => {
+                    Object.entries(details).forEach(([key, value]) => {
+                        if (key !== 'id' && value !== null && value !== undefined) entry[key] = value;
+                    });
+                    // An empty string records that the video has no thumbnail, so it isn't looked up again
+                    entry.thumbnail = entry.thumbnail || '';
+                });
+            } catch (error) {
+                // Removed or unavailable: try again on a later visit
+            }
+        }
         
-        this.state.videoQueue.push(queueItem);
-        this.saveQueue();
-        this.updateQueueCount();
-        this.showNotification(`Added "${this.truncateText(title, 20)}" to queue`);
+        // Timestamps are untouched, so these writes don't count as edits for sync
+        localStorage.setItem('likedVideos', JSON.stringify(this.state.likedVideos));
+        localStorage.setItem('savedVideos', JSON.stringify(this.state.savedVideos));
+        this.watchHistory.save();
+        this.playlists.changed();
+        this.renderContinueWatching();
     }
 
-    updateQueueCount() {
-        const countElement = document.getElementById('queueCount');
-        if (countElement) {
-            countElement.textContent = this.state.videoQueue.length;
-        }
+    // Search Filters
+    loadFilters() {
+        // Filters in the URL win over the ones saved from a previous visit
+        const params = new URLSearchParams(window.location.search);
+        const fromUrl = {};
+        FILTER_KEYS.forEach(key => {
+            if (params.get(key)) fromUrl[key] = params.get(key);
+        });
         
-        // Save to localStorage
-        localStorage.setItem('videoQueue', JSON.stringify(this.state.videoQueue));
+        if (Object.keys(fromUrl).length > 0) return fromUrl;
+        return JSON.parse(localStorage.getItem('searchFilters')) || {};
     }
 
-    saveQueue() {
-        localStorage.setItem('videoQueue', JSON.stringify(this.state.videoQueue));
+    saveFilters() {
+        localStorage.setItem('searchFilters', JSON.stringify(this.state.filters));
+        this.updateFilterUrl();
+        this.updateFilterBadge();
     }
 
-    // Search History
-    addToSearchHistory(query) {
-        if (!query.trim()) return;
-        
-        // Remove duplicates
-        this.state.searchHistory = this.state.searchHistory.filter(item => item !== query);
+    buildFilterQuery() {
+        return FILTER_KEYS
+            .filter(key => this.state.filters[key])
+            .map(key => `&${key}=${encodeURIComponent(this.state.filters[key])}`)
+            .join('');
+    }
+
+    // Only search pages carry filters in their URL
+    updateFilterUrl() {
+        if (window.location.pathname !== '/search') return;
         
-        // Add to beginning
-        this.state.searchHistory.unshift(query);
+        const url = new URL(window.location.href);
         
-        // Keep only last 10 items
-        if (this.state.searchHistory.length > 10) {
-            this.state.searchHistory.pop();
+        if (this.state.currentQuery) {
+            url.searchParams.set('q', this.state.currentQuery);
         }
+        FILTER_KEYS.forEach(key => {
+            if (this.state.filters[key]) {
+                url.searchParams.set(key, this.state.filters[key]);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
         
-        // Save to localStorage
-        localStorage.setItem('searchHistory', JSON.stringify(this.state.searchHistory));
-        
-        // Update suggestions
-        this.updateSearchSuggestions();
+        history.replaceState(history.state, '', url);
     }
 
-    updateSearchSuggestions() {
-        const suggestionsContainer = document.getElementById('searchSuggestions');
-        if (!suggestionsContainer) return;
-        
-        if (this.state.searchHistory.length === 0) {
-            suggestionsContainer.classList.remove('show');
-            return;
-        }
+    updateFilterBadge() {
+        const badge = document.getElementById('filterCount');
+        if (!badge) return;
         
-        suggestionsContainer.innerHTML = '';
-        
-        this.state.searchHistory.forEach(query => {
-            const item = document.createElement('div');
-            item.className = 'suggestion-item';
-            item.innerHTML = `
-                <i class="fas fa-history me-2 text-muted"></i>
-                ${query}
-            `;
-            
-            item.addEventListener('click', () => {
-                document.getElementById('searchInput').value = query;
-                this.searchVideos(query);
-                suggestionsContainer.classList.remove('show');
+        const count = FILTER_KEYS.filter(key => this.state.filters[key]).length;
+        badge.textContent = count;
+        badge.classList.toggle('d-none', count === 0);
+    }
+
+    setupFilterPanel() {
+        const filterBtn = document.getElementById('filterBtn');
+        const filterPanel = document.getElementById('filterPanel');
+        const filterForm = document.getElementById('filterForm');
+        const resetBtn = document.getElementById('filterResetBtn');
+        if (!filterBtn || !filterPanel || !filterForm) return;
+        
+        this.syncFilterForm();
+        
+        const collapse = bootstrap.Collapse.getOrCreateInstance(filterPanel, { toggle: false });
+        filterBtn.addEventListener('click', () => collapse.toggle());
+        filterPanel.addEventListener('shown.bs.collapse', () => filterBtn.setAttribute('aria-expanded', 'true'));
+        filterPanel.addEventListener('hidden.bs.collapse', () => filterBtn.setAttribute('aria-expanded', 'false'));
+        
+        filterForm.addEventListener('submit', (e) => e.preventDefault());
+        filterForm.addEventListener('change', () => {
+            const filters = {};
+            FILTER_KEYS.forEach(key => {
+                const value = filterForm.elements[key]?.value.trim();
+                if (value) filters[key] = value;
             });
-            
-            suggestionsContainer.appendChild(item);
+            this.applyFilters(filters);
         });
         
-        // Add clear history option
-        if (this.state.searchHistory.length > 0) {
-            const clearItem = document.createElement('div');
-            clearItem.className = 'suggestion-item text-danger';
-            clearItem.innerHTML = `
-                <i class="fas fa-trash me-2"></i>
-                Clear history
-            `;
-            
-            clearItem.addEventListener('click', () => {
-                this.state.searchHistory = [];
-                localStorage.removeItem('searchHistory');
-                suggestionsContainer.classList.remove('show');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                filterForm.reset();
+                this.applyFilters({});
             });
-            
-            suggestionsContainer.appendChild(clearItem);
+        }
+    }
+
+    // Show the current filters in the form
+    syncFilterForm() {
+        const filterForm = document.getElementById('filterForm');
+        if (filterForm) {
+            FILTER_KEYS.forEach(key => {
+                if (filterForm.elements[key]) {
+                    filterForm.elements[key].value = this.state.filters[key] || '';
+                }
+            });
+        }
+        this.updateFilterBadge();
+    }
+
+    applyFilters(filters) {
+        this.state.filters = filters;
+        this.saveFilters();
+        
+        // Re-run the active search with the new filters
+        if (this.state.currentQuery) {
+            this.config.CURRENT_PAGE = 1;
+            this.searchVideos(this.state.currentQuery, 1);
         }
     }
 
@@ -646,9 +3255,9 @@ class FreeStream {
         
         const themeToggle = document.getElementById('themeToggle');
         if (themeToggle) {
-            themeToggle.innerHTML = theme === 'dark' 
-                ? '<i class="fas fa-sun"></i>' 
-                : '<i class="fas fa-moon"></i>';
+            render(themeToggle, theme === 'dark' 
+                ? html`<i class="fas fa-sun"></i>` 
+                : html`<i class="fas fa-moon"></i>`);
         }
     }
 
@@ -686,23 +3295,32 @@ class FreeStream {
         if (searchInput && searchBtn) {
             searchBtn.addEventListener('click', () => this.handleSearch());
             
-            searchInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.handleSearch();
-            });
-            
-            searchInput.addEventListener('input', () => {
-                const suggestions = document.getElementById('searchSuggestions');
-                if (searchInput.value.trim() && this.state.searchHistory.length > 0) {
-                    suggestions.classList.add('show');
-                } else {
-                    suggestions.classList.remove('show');
+            // Up/down pick a suggestion, Enter opens it (or searches), Escape closes the list
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.isComposing) return;
+                
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.moveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                } else if (e.key === 'Enter') {
+                    const active = this.state.suggestions[this.state.activeSuggestion];
+                    if (active) {
+                        this.chooseSuggestion(active);
+                    } else {
+                        this.handleSearch();
+                    }
+                } else if (e.key === 'Escape') {
+                    this.closeSuggestions();
                 }
             });
             
+            searchInput.addEventListener('input', () => this.updateSearchSuggestions());
+            searchInput.addEventListener('focus', () => this.updateSearchSuggestions());
+            
             // Close suggestions when clicking outside
             document.addEventListener('click', (e) => {
                 if (!searchInput.contains(e.target) && !document.getElementById('searchSuggestions').contains(e.target)) {
-                    document.getElementById('searchSuggestions').classList.remove('show');
+                    this.closeSuggestions();
                 }
             });
         }
@@ -721,9 +3339,23 @@ class FreeStream {
         
         if (likeBtn) likeBtn.addEventListener('click', () => this.likeVideo());
         if (saveBtn) saveBtn.addEventListener('click', () => this.saveVideo());
+        
+        const playlistBtn = document.getElementById('playlistBtn');
+        if (playlistBtn) {
+            playlistBtn.addEventListener('show.bs.dropdown', (e) => {
+                if (!this.state.currentVideo) {
+                    e.preventDefault();
+                    return;
+                }
+                this.renderPlaylistMenu(document.getElementById('playlistMenu'), this.videoEntry(this.state.currentVideo));
+            });
+        }
         if (shareBtn) shareBtn.addEventListener('click', () => this.shareVideo());
         if (downloadBtn) downloadBtn.addEventListener('click', () => this.downloadVideo());
         
+        const offlineBtn = document.getElementById('offlineBtn');
+        if (offlineBtn) offlineBtn.addEventListener('click', () => this.toggleOffline());
+        
         // Load more
         const loadMoreBtn = document.getElementById('loadMoreBtn');
         if (loadMoreBtn) {
@@ -736,16 +3368,80 @@ class FreeStream {
             refreshBtn.addEventListener('click', () => this.refreshVideos());
         }
         
-        // Populate category menu
-        this.populateCategoryMenu();
+        // Queue controls
+        this.setupQueueControls();
+        
+        // Sign-in and sync
+        this.setupAccount();
+        
+        // Export and import
+        this.setupDataTools();
+        
+        // Search filters
+        this.setupFilterPanel();
         
         // Video player events
         const videoElement = document.getElementById('mainVideo');
         if (videoElement) {
+            videoElement.addEventListener('ended', () => this.trackVideo('complete', this.state.currentVideo?.id));
             videoElement.addEventListener('ended', () => this.playNextInQueue());
-            videoElement.addEventListener('error', () => {
-                this.showError('Failed to play video. Trying alternative source...');
+            
+            // Remember how far we got so the video resumes next time
+            let lastSaved = 0;
+            videoElement.addEventListener('timeupdate', () => {
+                if (Math.abs(videoElement.currentTime - lastSaved) >= 5) {
+                    lastSaved = videoElement.currentTime;
+                    this.saveWatchPosition();
+                }
             });
+            videoElement.addEventListener('pause', () => this.saveWatchPosition());
+            videoElement.addEventListener('ended', () => this.saveWatchPosition());
+            window.addEventListener('pagehide', () => this.saveWatchPosition());
+            
+            // Source errors fire on the <source>, decode errors on the <video>
+            videoElement.addEventListener('error', () => this.handlePlaybackError());
+            document.getElementById('videoSource')?.addEventListener('error', () => this.handlePlaybackError());
+            
+            this.measureThroughput(videoElement);
+        }
+        
+        document.getElementById('qualityMenu')?.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-quality]');
+            if (option) this.setQuality(option.dataset.quality);
+        });
+    }
+
+    setupQueueControls() {
+        const controls = {
+            queuePrevBtn: () => this.playPreviousInQueue(),
+            queueNextBtn: () => this.playNextInQueue({ skip: true }),
+            shuffleBtn: () => this.queue.toggleShuffle(),
+            repeatBtn: () => this.queue.cycleRepeat(),
+            clearQueueBtn: () => this.clearQueue()
+        };
+        Object.entries(controls).forEach(([id, handler]) => {
+            document.getElementById(id)?.addEventListener('click', handler);
+        });
+        
+        // Shift+N / Shift+P for next and previous, as on most video sites
+        document.addEventListener('keydown', (e) => {
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            if (!e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+            
+            if (e.key === 'N') {
+                e.preventDefault();
+                this.playNextInQueue({ skip: true });
+            } else if (e.key === 'P') {
+                e.preventDefault();
+                this.playPreviousInQueue();
+            }
+        });
+        
+        // Hardware media keys and lock-screen controls
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.setActionHandler('nexttrack', () => this.playNextInQueue({ skip: true }));
+            navigator.mediaSession.setActionHandler('previoustrack', () => this.playPreviousInQueue());
         }
     }
 
@@ -753,20 +3449,16 @@ class FreeStream {
         const categoryMenu = document.getElementById('categoryMenu');
         if (!categoryMenu) return;
         
-        categoryMenu.innerHTML = '';
+        categoryMenu.replaceChildren();
         
         this.state.categories.forEach(category => {
             const item = document.createElement('li');
-            item.innerHTML = `
-                <a class="dropdown-item" href="#" data-category="${category.id}">
+            render(item, html`
+                <a class="dropdown-item d-flex align-items-center" href="/category/${encodeURIComponent(category.id)}" data-link data-category="${category.id}">
                     <i class="${category.icon} me-2"></i>${category.name}
+                    <small class="text-muted ms-auto ps-3">${this.formatCount(category.count)}</small>
                 </a>
-            `;
-            
-            item.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.loadCategoryVideos(category.id);
-            });
+            `);
             
             categoryMenu.appendChild(item);
         });
@@ -778,32 +3470,35 @@ class FreeStream {
         const query = searchInput.value.trim();
         
         if (query) {
-            this.searchVideos(query, 1);
+            this.closeSuggestions();
+            this.openSearch(query);
             searchInput.blur();
-            document.getElementById('searchSuggestions').classList.remove('show');
         }
     }
 
-    async loadCategoryVideos(categoryId) {
-        this.state.currentCategory = categoryId;
+    async loadCategoryVideos(categoryId, page = 1) {
+        this.state.currentCategory = 'category';
+        this.state.currentCatalogId = categoryId;
+        this.state.currentQuery = null;
+        this.config.CURRENT_PAGE = page;
         this.showLoading(true);
         
         try {
-            const response = await fetch(
-                `${this.config.API_BASE_URL}/category/${categoryId}?per_page=${this.config.ITEMS_PER_PAGE}`
+            const data = await this.apiRequest(
+                `/category/${encodeURIComponent(categoryId)}?page=${page}&per_page=${this.config.ITEMS_PER_PAGE}`
             );
+            const videos = data.videos || [];
+            this.config.HAS_MORE = data.next_page ? true : false;
+            this.displayVideos(videos, page === 1);
+            this.state.videos = [...this.state.videos, ...videos];
             
-            if (response.ok) {
-                const data = await response.json();
-                const videos = data.videos || [];
-                this.displayVideos(videos, true);
-                
+            if (page === 1) {
                 const category = this.state.categories.find(c => c.id === categoryId);
                 this.showNotification(`Showing ${category?.name || categoryId} videos`);
             }
         } catch (error) {
             console.error('Category videos error:', error);
-            this.showError('Failed to load category videos');
+            this.showError('Failed to load category videos', error);
         } finally {
             this.showLoading(false);
         }
@@ -814,10 +3509,12 @@ class FreeStream {
         
         this.config.CURRENT_PAGE += 1;
         
-        if (this.state.currentCategory === 'all') {
-            await this.loadTrendingVideos(this.config.CURRENT_PAGE);
-        } else if (this.state.searchHistory.length > 0) {
-            await this.searchVideos(this.state.searchHistory[0], this.config.CURRENT_PAGE);
+        if (this.state.currentCategory === 'search' && this.state.currentQuery) {
+            await this.searchVideos(this.state.currentQuery, this.config.CURRENT_PAGE);
+        } else if (this.state.currentCategory === 'category') {
+            await this.loadCategoryVideos(this.state.currentCatalogId, this.config.CURRENT_PAGE);
+        } else if (this.state.currentCategory === 'collection') {
+            await this.loadCollectionVideos(this.state.currentCatalogId, this.config.CURRENT_PAGE);
         } else {
             await this.loadTrendingVideos(this.config.CURRENT_PAGE);
         }
@@ -830,10 +3527,27 @@ class FreeStream {
         // Clear cache for fresh data
         this.cache.clear();
         
-        if (this.state.currentCategory === 'all') {
-            await this.loadTrendingVideos(1);
+        if (this.state.currentCategory === 'history') {
+            this.showHistory();
+            return;
+        }
+        if (this.state.currentCategory === 'library') {
+            this.showLibrary(this.state.librarySection);
+            return;
+        }
+        if (this.state.currentCategory === 'offline') {
+            this.showOffline();
+            return;
+        }
+        
+        if (this.state.currentCategory === 'search' && this.state.currentQuery) {
+            await this.searchVideos(this.state.currentQuery, 1);
+        } else if (this.state.currentCategory === 'category') {
+            await this.loadCategoryVideos(this.state.currentCatalogId);
+        } else if (this.state.currentCategory === 'collection') {
+            await this.loadCollectionVideos(this.state.currentCatalogId);
         } else {
-            await this.loadCategoryVideos(this.state.currentCategory);
+            await this.loadTrendingVideos(1);
         }
         
         this.showNotification('Videos refreshed');
@@ -843,32 +3557,9 @@ class FreeStream {
     likeVideo() {
         if (!this.state.currentVideo) return;
         
-        const likeBtn = document.getElementById('likeBtn');
-        const likeCount = document.getElementById('likeCount');
-        
-        // Toggle like state
-        const isLiked = likeBtn.classList.contains('active');
-        
-        if (isLiked) {
-            likeBtn.classList.remove('active');
-            likeBtn.innerHTML = '<i class="far fa-thumbs-up"></i> <span id="likeCount">0</span>';
-            
-            // Remove from liked videos
-            this.state.likedVideos = this.state.likedVideos.filter(v => v.id !== this.state.currentVideo.id);
-        } else {
-            likeBtn.classList.add('active');
-            likeBtn.innerHTML = '<i class="fas fa-thumbs-up"></i> <span id="likeCount">1</span>';
-            
-            // Add to liked videos
-            this.state.likedVideos.push({
-                id: this.state.currentVideo.id,
-                title: this.state.currentVideo.user?.name,
-                likedAt: new Date().toISOString()
-            });
-        }
-        
-        // Save to localStorage
-        localStorage.setItem('likedVideos', JSON.stringify(this.state.likedVideos));
+        const isLiked = this.isInLibrary('liked', this.state.currentVideo.id);
+        this.setInLibrary('liked', this.videoEntry(this.state.currentVideo), !isLiked);
+        if (!isLiked) this.trackVideo('like', this.state.currentVideo.id);
         
         this.showNotification(isLiked ? 'Video unliked' : 'Video liked');
     }
@@ -876,40 +3567,66 @@ class FreeStream {
     saveVideo() {
         if (!this.state.currentVideo) return;
         
-        const saveBtn = document.getElementById('saveBtn');
-        
-        // Toggle save state
-        const isSaved = saveBtn.classList.contains('active');
+        const isSaved = this.isInLibrary('saved', this.state.currentVideo.id);
+        this.setInLibrary('saved', this.videoEntry(this.state.currentVideo), !isSaved);
         
-        if (isSaved) {
-            saveBtn.classList.remove('active');
-            saveBtn.innerHTML = '<i class="far fa-bookmark"></i>';
-            
-            // Remove from saved videos
-            this.state.savedVideos = this.state.savedVideos.filter(v => v.id !== this.state.currentVideo.id);
-        } else {
-            saveBtn.classList.add('active');
-            saveBtn.innerHTML = '<i class="fas fa-bookmark"></i>';
-            
-            // Add to saved videos
-            this.state.savedVideos.push({
-                id: this.state.currentVideo.id,
-                title: this.state.currentVideo.user?.name,
-                savedAt: new Date().toISOString(),
-                thumbnail: this.state.currentVideo.image
-            });
+        this.showNotification(isSaved ? 'Video removed from library' : 'Video saved to library');
+    }
+
+    isInLibrary(section, videoId) {
+        const entries = section === 'liked' ? this.state.likedVideos : this.state.savedVideos;
+        return entries.some(entry => String(entry.id) === String(videoId));
+    }
+
+    // Add or remove a video from the liked or saved list
+    setInLibrary(section, entry, included) {
+        const key = section === 'liked' ? 'likedVideos' : 'savedVideos';
+        const timestamp = section === 'liked' ? 'likedAt' : 'savedAt';
+        
+        this.state[key] = this.state[key].filter(item => String(item.id) !== String(entry.id));
+        if (included) {
+            this.state[key].push({ ...entry, [timestamp]: new Date().toISOString() });
         }
         
-        // Save to localStorage
-        localStorage.setItem('savedVideos', JSON.stringify(this.state.savedVideos));
+        localStorage.setItem(key, JSON.stringify(this.state[key]));
+        this.updateLibraryButtons();
+        this.sync.schedule(section === 'liked' ? 'likes' : 'saves');
+    }
+
+    // Swap in a merged list from another device, oldest first like local additions
+    replaceLibrary(section, entries) {
+        const key = section === 'liked' ? 'likedVideos' : 'savedVideos';
+        const timestamp = section === 'liked' ? 'likedAt' : 'savedAt';
+        
+        this.state[key] = [...entries].sort((a, b) => Date.parse(a[timestamp]) - Date.parse(b[timestamp]));
+        localStorage.setItem(key, JSON.stringify(this.state[key]));
+        this.updateLibraryButtons();
+        this.renderLibrary();
+    }
+
+    // Reflect the current video's liked and saved state in the player buttons
+    updateLibraryButtons() {
+        const video = this.state.currentVideo;
+        const liked = !!video && this.isInLibrary('liked', video.id);
+        const saved = !!video && this.isInLibrary('saved', video.id);
         
-        this.showNotification(isSaved ? 'Video removed from library' : 'Video saved to library');
+        const likeBtn = document.getElementById('likeBtn');
+        if (likeBtn) {
+            likeBtn.classList.toggle('active', liked);
+            render(likeBtn, html`<i class="${liked ? 'fas' : 'far'} fa-thumbs-up"></i> <span id="likeCount">${liked ? 1 : 0}</span>`);
+        }
+        
+        const saveBtn = document.getElementById('saveBtn');
+        if (saveBtn) {
+            saveBtn.classList.toggle('active', saved);
+            render(saveBtn, html`<i class="${saved ? 'fas' : 'far'} fa-bookmark"></i>`);
+        }
     }
 
     shareVideo() {
         if (!this.state.currentVideo) return;
         
-        const videoUrl = this.state.currentVideo.url || `https://www.pexels.com/video/${this.state.currentVideo.id}/`;
+        const videoUrl = `${window.location.origin}/watch/${this.state.currentVideo.id}`;
         const title = this.state.currentVideo.user?.name || 'Check out this video';
         
         if (navigator.share) {
@@ -929,15 +3646,16 @@ class FreeStream {
     downloadVideo() {
         if (!this.state.currentVideo) return;
         
-        const videoFile = this.state.currentVideo.video_files?.[0];
+        const videoFile = this.state.rendition || this.state.currentVideo.video_files?.[0];
         if (!videoFile) {
             this.showError('No downloadable video available');
             return;
         }
         
-        // Create download link
+        // Browsers ignore the download attribute on cross-origin links, so go through the proxy.
+        // A file saved offline is a blob URL and can be used as is.
         const link = document.createElement('a');
-        link.href = videoFile.link;
+        link.href = videoFile.offline ? videoFile.link : this.mediaUrl(RenditionSelector.link(videoFile));
         link.download = `freestream-${this.state.currentVideo.id}.mp4`;
         document.body.appendChild(link);
         link.click();
@@ -946,12 +3664,32 @@ class FreeStream {
         this.showNotification('Download started...');
     }
 
-    playNextInQueue() {
-        if (this.state.videoQueue.length > 0) {
-            const nextVideo = this.state.videoQueue.shift();
-            this.loadVideoDetails(nextVideo.id);
-            this.updateQueueCount();
+    // Called when a video ends, or with skip set when the user asks for the next one
+    playNextInQueue({ skip = false } = {}) {
+        const nextVideo = this.queue.next({ skip });
+        if (!nextVideo) return;
+        
+        // Repeat-one: restart the current video
+        if (this.queue.current && String(nextVideo.id) === String(this.queue.current.id)) {
+            const videoElement = document.getElementById('mainVideo');
+            videoElement.currentTime = 0;
+            videoElement.play().catch(() => {});
+            return;
+        }
+        
+        this.openVideo(nextVideo.id);
+    }
+
+    playPreviousInQueue() {
+        // Like most players: restart the video first, go back on a second press
+        const videoElement = document.getElementById('mainVideo');
+        if (videoElement && videoElement.currentTime > 3) {
+            videoElement.currentTime = 0;
+            return;
         }
+        
+        const previousVideo = this.queue.previous();
+        if (previousVideo) this.openVideo(previousVideo.id);
     }
 
     // Utility Methods
@@ -975,6 +3713,11 @@ class FreeStream {
         }
     }
 
+    // Result counts are null when upstream couldn't be reached
+    formatCount(count) {
+        return count === null || count === undefined ? '—' : this.formatNumber(count);
+    }
+
     truncateText(text, maxLength) {
         if (!text) return '';
         if (text.length <= maxLength) return text;
@@ -998,31 +3741,125 @@ class FreeStream {
         }
     }
 
-    showError(message) {
+    showError(message, error) {
+        this.usage.track('error', { code: this.errorCode(error) });
+        
+        // Tell the user when they can retry instead of showing a generic failure
+        const rateLimited = error?.status === 429;
+        if (rateLimited) {
+            message = error.retryAfter
+                ? `The video service is busy, try again in ${error.retryAfter} seconds`
+                : 'The video service is busy, please try again in a moment';
+        } else if (error?.status === 503) {
+            message = error.retryAfter
+                ? `Video service is temporarily unavailable, try again in ${error.retryAfter} seconds`
+                : 'Video service is temporarily unavailable, please try again shortly';
+        }
+        
         const modalTitle = document.getElementById('modalTitle');
         const modalBody = document.getElementById('modalBody');
         const modal = new bootstrap.Modal('#infoModal');
         
         if (modalTitle && modalBody) {
-            modalTitle.innerHTML = '<i class="fas fa-exclamation-triangle me-2 text-danger"></i>Error';
-            modalBody.innerHTML = `
-                <div class="alert alert-danger">
-                    <i class="fas fa-exclamation-circle me-2"></i>
-                    ${message}
-                </div>
-                <p class="mb-0">Please try again later or contact support if the problem persists.</p>
-            `;
+            if (rateLimited) {
+                // Nothing is broken: the limit clears by itself, so don't send people to support
+                render(modalTitle, html`<i class="fas fa-hourglass-half me-2 text-warning"></i>Please wait a moment`);
+                render(modalBody, html`
+                    <div class="alert alert-warning">
+                        <i class="fas fa-clock me-2"></i>
+                        ${message}
+                    </div>
+                    <p class="mb-0">Videos you have already loaded keep playing in the meantime.</p>
+                `);
+            } else {
+                render(modalTitle, html`<i class="fas fa-exclamation-triangle me-2 text-danger"></i>Error`);
+                render(modalBody, html`
+                    <div class="alert alert-danger">
+                        <i class="fas fa-exclamation-circle me-2"></i>
+                        ${message}
+                    </div>
+                    <p class="mb-0">Please try again later or contact support if the problem persists.</p>
+                `);
+            }
             modal.show();
         }
     }
 
+    // Service worker: caches the app for offline use. A new version waits
+    // until the user chooses to reload, so a page never runs mixed code.
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        try {
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            
+            // Already downloaded in an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+            
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading || !this.updateRequested) return;
+                reloading = true;
+                window.location.reload();
+            });
+            
+            // Long-lived tabs check for a new version when they come back into view
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') registration.update().catch(() => {});
+            });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    showUpdatePrompt(worker) {
+        if (document.getElementById('updatePrompt')) return;
+        
+        const prompt = document.createElement('div');
+        prompt.id = 'updatePrompt';
+        prompt.className = 'position-fixed bottom-0 start-0 p-3';
+        prompt.style.zIndex = '9999';
+        
+        render(prompt, html`
+            <div class="toast show align-items-center text-white bg-primary border-0" role="status">
+                <div class="d-flex align-items-center">
+                    <div class="toast-body">
+                        <i class="fas fa-sync-alt me-2"></i>A new version of FreeStream is available
+                    </div>
+                    <button type="button" class="btn btn-light btn-sm me-2" id="updateReloadBtn">Reload</button>
+                    <button type="button" class="btn-close btn-close-white me-2 m-auto" aria-label="Later"></button>
+                </div>
+            </div>
+        `);
+        
+        prompt.querySelector('#updateReloadBtn').addEventListener('click', () => {
+            this.updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        prompt.querySelector('.btn-close').addEventListener('click', () => prompt.remove());
+        
+        document.body.appendChild(prompt);
+    }
+
     showNotification(message) {
         // Create toast notification
         const toast = document.createElement('div');
         toast.className = 'position-fixed bottom-0 end-0 p-3';
         toast.style.zIndex = '9999';
         
-        toast.innerHTML = `
+        render(toast, html`
             <div class="toast align-items-center text-white bg-success border-0" role="alert">
                 <div class="d-flex">
                     <div class="toast-body">
@@ -1031,7 +3868,7 @@ class FreeStream {
                     <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
                 </div>
             </div>
-        `;
+        `);
         
         document.body.appendChild(toast);
         const bsToast = new bootstrap.Toast(toast.querySelector('.toast'));
@@ -1043,21 +3880,28 @@ class FreeStream {
         });
     }
 
+    // Usage events only carry the video id; ids that aren't numeric (e.g. local files) are skipped
+    trackVideo(type, videoId) {
+        const id = Number(videoId);
+        if (Number.isInteger(id) && id > 0) this.usage.track(type, { videoId: id });
+    }
+
+    // API error code, or one derived from the HTTP status, for usage events
+    errorCode(error) {
+        if (/^[A-Z0-9_]{1,40}$/.test(error?.code || '')) return error.code;
+        return error?.status ? `HTTP_${error.status}` : 'CLIENT_ERROR';
+    }
+
     addToHistory(video) {
-        // Simple history tracking
-        const history = JSON.parse(localStorage.getItem('watchHistory')) || [];
-        
-        history.unshift({
-            id: video.id,
-            title: video.user?.name,
-            watchedAt: new Date().toISOString(),
-            duration: video.duration
-        });
-        
-        // Keep only last 50 items
-        if (history.length > 50) history.pop();
+        this.watchHistory.record(video);
+    }
+
+    saveWatchPosition() {
+        const videoElement = document.getElementById('mainVideo');
+        const video = this.state.currentVideo;
+        if (!video || !videoElement || !videoElement.currentTime) return;
         
-        localStorage.setItem('watchHistory', JSON.stringify(history));
+        this.watchHistory.updatePosition(video.id, videoElement.currentTime, videoElement.duration || video.duration);
     }
 }
 
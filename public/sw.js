@@ -1,62 +1,152 @@
 // Service Worker for FreeStream
-const CACHE_NAME = 'freestream-v1';
-const urlsToCache = [
+// server.js fills in the build version and the content-hashed asset URLs when it serves this file
+const BUILD = { version: 'dev', assets: ['/app.js', '/style.css'] };
+
+// Every cache name carries the build version, so a deployment starts clean
+const CACHES = {
+    static: `freestream-static-${BUILD.version}`,
+    pages: `freestream-pages-${BUILD.version}`,
+    api: `freestream-api-${BUILD.version}`,
+    images: `freestream-images-${BUILD.version}`
+};
+
+const OFFLINE_PAGE = '/offline.html';
+const PRECACHE = [
     '/',
-    '/index.html',
-    '/style.css',
-    '/app.js',
+    OFFLINE_PAGE,
     '/manifest.json',
+    ...BUILD.assets,
     'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
     'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
 ];
 
+// Wait this long for the network before answering from the cache
+const NETWORK_TIMEOUT = 4000;
+const MAX_IMAGES = 100;
+
+// API responses that are personal, streamed, must never be stale, or differ per keystroke
+const UNCACHED_API = ['/api/auth', '/api/sync', '/api/proxy', '/api/admin', '/api/health', '/api/suggest'];
+
+// Hosts serving pinned library versions, safe to cache for good
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.gstatic.com'];
+
 self.addEventListener('install', event => {
+    // Not skipWaiting(): the page asks the user first, then sends SKIP_WAITING
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => cache.addAll(urlsToCache))
-            .then(() => self.skipWaiting())
+        caches.open(CACHES.static).then(cache => cache.addAll(PRECACHE))
     );
 });
 
 self.addEventListener('activate', event => {
+    const current = Object.values(CACHES);
     event.waitUntil(
         caches.keys().then(cacheNames => {
             return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
-                        return caches.delete(cacheName);
-                    }
-                })
+                cacheNames
+                    .filter(cacheName => cacheName.startsWith('freestream-') && !current.includes(cacheName))
+                    .map(cacheName => caches.delete(cacheName))
             );
         }).then(() => self.clients.claim())
     );
 });
 
+self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
 self.addEventListener('fetch', event => {
-    if (event.request.method !== 'GET') return;
-    
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                if (response) {
-                    return response;
-                }
-                
-                return fetch(event.request)
-                    .then(response => {
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
-                        }
-                        
-                        const responseToCache = response.clone();
-                        caches.open(CACHE_NAME)
-                            .then(cache => {
-                                cache.put(event.request, responseToCache);
-                            });
-                        
-                        return response;
-                    });
-            })
-    );
-});
\ No newline at end of file
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    
+    // Media is streamed with range requests; leave it to the browser
+    if (['video', 'audio'].includes(request.destination) || request.headers.has('Range')) return;
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(navigation(event));
+    } else if (sameOrigin && url.pathname.startsWith('/api/')) {
+        if (UNCACHED_API.some(prefix => url.pathname.startsWith(prefix)) || request.headers.has('Authorization')) return;
+        event.respondWith(networkFirst(event, CACHES.api));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, CACHES.images, MAX_IMAGES));
+    } else if ((sameOrigin && url.searchParams.has('v')) || CDN_HOSTS.includes(url.hostname)) {
+        // Content-hashed or version-pinned: the URL changes whenever the file does
+        event.respondWith(cacheFirst(request, CACHES.static));
+    } else if (sameOrigin) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.static));
+    }
+});
+
+// Cache a copy of successful responses. Cross-origin images come back opaque and are kept as well.
+function store(cacheName, request, response, maxEntries) {
+    if (!response.ok && response.type !== 'opaque') return Promise.resolve();
+    
+    const copy = response.clone();
+    return caches.open(cacheName)
+        .then(cache => cache.put(request, copy).then(() => maxEntries && trim(cache, maxEntries)))
+        .catch(() => {}); // Quota exceeded: serve uncached
+}
+
+// Drop the oldest entries (keys are in insertion order) above the limit
+async function trim(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    await store(cacheName, request, response);
+    return response;
+}
+
+async function staleWhileRevalidate(event, cacheName, maxEntries) {
+    const cached = await caches.match(event.request);
+    const network = fetch(event.request).then(response => {
+        event.waitUntil(store(cacheName, event.request, response, maxEntries));
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// Fresh data when the network answers in time; otherwise the last cached copy, if any
+async function networkFirst(event, cacheName) {
+    const request = event.request;
+    const network = fetch(request).then(response => {
+        event.waitUntil(store(cacheName, request, response));
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+    
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+        .then(() => caches.match(request, { cacheName }))
+        .then(cached => cached || network);
+    
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Pages: the network first, then the cached app shell (it routes on the client),
+// and the offline page when neither is available
+async function navigation(event) {
+    try {
+        return await networkFirst(event, CACHES.pages);
+    } catch (error) {
+        return (await caches.match('/')) || (await caches.match(OFFLINE_PAGE)) || Response.error();
+    }
+}
@@ -3,59 +3,160 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const axios = require('axios');
 const path = require('path');
+const { createProvider } = require('./providers');
+const { createProxyGuard } = require('./lib/proxy-guard');
+const { createVideoProxy } = require('./lib/proxy');
+const { Cache, createStore } = require('./lib/cache');
+const { createUpstream } = require('./lib/upstream');
+const { ApiError, toApiError, requestId, asyncHandler, errorHandler } = require('./lib/errors');
+const crypto = require('crypto');
+const { validate, integer, oneOf, string, password, optional, idList, rules } = require('./lib/validation');
+const { loadCatalog, saveCatalog } = require('./lib/catalog');
+const { extractKeywords, rankRelated } = require('./lib/related');
+const { hashPassword, verifyPassword, createTokens, requireAuth } = require('./lib/auth');
+const { UserStore, SYNC_COLLECTIONS, MAX_RECORDS, checkRecord } = require('./lib/user-store');
+const { createAssets } = require('./lib/assets');
+const { watchPageHead, injectHead, sitemap } = require('./lib/seo');
+const { contentSecurityPolicy } = require('./lib/csp');
+const { createAdminRouter } = require('./lib/admin');
+const { rateLimit } = require('./lib/rate-limit');
+const { AnalyticsStore, WINDOWS, MAX_BATCH, checkEvent } = require('./lib/analytics');
+const { suggest, loadKeywords } = require('./lib/suggest');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Category and collection definitions shared with the client. Edits from /admin
+// are saved to CATALOG_FILE; until then the defaults in config/ are used.
+const CATALOG_FILE = process.env.CATALOG_FILE || path.join(__dirname, 'data', 'catalog.json');
+const catalog = loadCatalog(CATALOG_FILE, path.join(__dirname, 'config', 'catalog.json'));
+
+// Curated search terms offered by the autocomplete
+const keywords = loadKeywords(process.env.KEYWORDS_FILE || path.join(__dirname, 'config', 'keywords.json'));
+
+// Anonymous usage counts (searches, plays, completions, queue adds, likes, errors)
+const analytics = new AnalyticsStore(process.env.ANALYTICS_FILE || path.join(__dirname, 'data', 'analytics.json'));
+
+// Upstream allowlist and limits for the video proxy
+const proxyGuard = createProxyGuard({
+    allowedHosts: process.env.PROXY_ALLOWED_HOSTS,
+    maxBytes: process.env.PROXY_MAX_BYTES,
+    allowPrivateNetworks: process.env.PROXY_ALLOW_PRIVATE_NETWORKS === 'true'
+});
+
+// Hosts that catalog thumbnails are served from, allowed as image sources.
+// Read per response so thumbnails added from /admin load without a restart.
+function catalogImageHosts() {
+    return [...catalog.categories, ...catalog.collections]
+        .filter(entry => entry.thumbnail && /^https?:\/\//.test(entry.thumbnail))
+        .map(entry => new URL(entry.thumbnail).host);
+}
+
+const extraImageHosts = (process.env.CSP_IMAGE_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+
 // Middleware
+app.use(requestId);
 app.use(helmet({
-    contentSecurityPolicy: false // Disable for development
+    contentSecurityPolicy: contentSecurityPolicy({
+        mediaHosts: proxyGuard.allowedHosts,
+        imageHosts: () => [...catalogImageHosts(), ...extraImageHosts],
+        upgradeInsecureRequests: process.env.NODE_ENV === 'production'
+    })
 }));
 app.use(compression());
 app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+app.use(express.json({ limit: '1mb' }));
 
-// Pexels API Configuration
-const PEXELS_API_KEY = process.env.PEXELS_API_KEY || 'YOUR_PEXELS_API_KEY';
-const PEXELS_API_URL = 'https://api.pexels.com/videos';
+// Static files. app.js and style.css are linked with a content hash, so those
+// URLs can be cached for good; the shell and the service worker are revalidated.
+const assets = createAssets(path.join(__dirname, 'public'), { version: process.env.BUILD_VERSION });
 
-// Cache for API responses (simple in-memory cache)
-const cache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+app.get('/sw.js', (req, res) => {
+    res.set('Cache-Control', 'no-cache').type('js').send(assets.serviceWorker);
+});
 
-// Helper function to make Pexels API requests
-async function makePexelsRequest(endpoint, params = {}) {
-    const cacheKey = `${endpoint}_${JSON.stringify(params)}`;
-    const cached = cache.get(cacheKey);
-    
-    if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
-        console.log(`Cache hit for: ${endpoint}`);
-        return cached.data;
+app.use((req, res, next) => {
+    if (assets.isCurrent(req.path, req.query.v)) {
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
     }
+    next();
+});
+app.use(express.static('public', { index: false }));
+
+function sendShell(req, res) {
+    res.set('Cache-Control', 'no-cache').type('html').send(assets.html);
+}
+
+// Video provider configuration
+const VIDEO_PROVIDER = process.env.VIDEO_PROVIDER || 'pexels';
+const provider = createProvider(VIDEO_PROVIDER, {
+    apiKey: process.env.PEXELS_API_KEY,
+    baseUrl: process.env.PEXELS_API_URL,
+    directory: process.env.LOCAL_LIBRARY_DIR
+});
+
+// Serve media files for providers that host them on disk
+if (provider.staticRoot) {
+    app.use(provider.mediaPath, express.static(provider.staticRoot));
+}
+
+// Cache for API responses (bounded LRU, memory or file backed)
+const cache = new Cache({
+    store: createStore(process.env.CACHE_STORE || 'memory', { directory: process.env.CACHE_DIR }),
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024
+});
+
+// Cache lifetime per provider method
+const CACHE_TTLS = {
+    popular: 10 * 60 * 1000, // 10 minutes
+    search: 5 * 60 * 1000, // 5 minutes
+    getVideo: 60 * 60 * 1000, // 1 hour
+    collection: 10 * 60 * 1000 // 10 minutes
+};
+
+// Provider calls go through the cache, with concurrent identical calls sharing one request
+const upstream = createUpstream({ provider: provider, cache: cache, ttls: CACHE_TTLS });
+const { cachedRequest, providerRequest } = upstream;
+
+// Result counts change slowly; refresh them rarely to spare the upstream quota
+const CATALOG_COUNT_TTL = 6 * 60 * 60 * 1000; // 6 hours
+
+function catalogParams(entry, params = {}) {
+    return { query: entry.query, ...entry.filters, ...params };
+}
+
+// Fetch the real upstream total_results for a catalog entry into the cache
+function refreshCount(type, entry) {
+    const params = catalogParams(entry, { page: 1, per_page: 1 });
+    const method = type === 'collections' ? 'collection' : 'search';
+    const args = method === 'collection' ? [entry.id, params] : [params];
     
-    try {
-        const response = await axios.get(`${PEXELS_API_URL}/${endpoint}`, {
-            headers: {
-                'Authorization': PEXELS_API_KEY,
-                'User-Agent': 'FreeVideoStreamer/1.0'
-            },
-            params: params
-        });
-        
-        const data = response.data;
-        cache.set(cacheKey, {
-            data: data,
-            timestamp: Date.now()
-        });
-        
-        return data;
-    } catch (error) {
-        console.error('Pexels API Error:', error.message);
-        throw error;
-    }
+    return cachedRequest(`count_${type}_${entry.id}`, CATALOG_COUNT_TTL, method, args).catch(error => {
+        console.warn(`Could not count ${type} "${entry.id}":`, error.message);
+    });
+}
+
+// Attach the cached count (and a thumbnail if none is configured). Listing the
+// catalog never waits on upstream: missing or expired counts are null or stale
+// until the background refresh lands.
+async function withCount(type, entry) {
+    const cached = await cache.lookup(`count_${type}_${entry.id}`);
+    if (!cached || cached.stale) refreshCount(type, entry);
+    
+    const data = cached?.value;
+    return {
+        ...entry,
+        count: data?.total_results ?? null,
+        thumbnail: entry.thumbnail || data?.videos?.[0]?.image || null
+    };
+}
+
+// Count every catalog entry, at startup and after catalog edits
+function warmCatalogCounts() {
+    catalog.categories.forEach(entry => refreshCount('categories', entry));
+    catalog.collections.forEach(entry => refreshCount('collections', entry));
 }
 
 // API Routes
@@ -65,267 +166,462 @@ app.get('/api/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        api: 'Pexels',
-        cacheSize: cache.size
+        api: provider.name,
+        cacheSize: cache.size,
+        cache: cache.stats(),
+        upstream: upstream.stats(),
+        quota: provider.getQuota()
     });
 });
 
 // Get trending/popular videos
-app.get('/api/trending', async (req, res) => {
-    try {
-        const { page = 1, per_page = 15 } = req.query;
-        const data = await makePexelsRequest('popular', {
-            page: parseInt(page),
-            per_page: Math.min(parseInt(per_page), 80),
-            min_width: 640,
-            min_duration: 5
-        });
-        res.json(data);
-    } catch (error) {
-        console.error('Trending error:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to fetch trending videos',
-            message: error.response?.data || error.message
-        });
-    }
-});
+app.get('/api/trending', validate({
+    query: { page: rules.page, per_page: rules.perPage }
+}), asyncHandler(async (req, res) => {
+    const { page, per_page } = req.valid;
+    const data = await providerRequest('popular', {
+        page: page,
+        per_page: per_page,
+        min_width: 640,
+        min_duration: 5
+    });
+    res.json(data);
+}));
+
+// Pexels search has no duration or resolution parameters, so those filters are
+// applied to each page of results. total_results still reflects the upstream count.
+function filterVideos(data, { min_duration, max_duration, min_resolution }) {
+    const videos = (data.videos || []).filter(video => {
+        if (min_duration !== undefined && video.duration < min_duration) return false;
+        if (max_duration !== undefined && video.duration > max_duration) return false;
+        if (min_resolution !== undefined && Math.min(video.width, video.height) < min_resolution) return false;
+        return true;
+    });
+    return { ...data, videos: videos };
+}
 
 // Search videos
-app.get('/api/search', async (req, res) => {
-    try {
-        const { q, page = 1, per_page = 15, orientation = 'landscape' } = req.query;
-        
-        if (!q || q.trim() === '') {
-            return res.status(400).json({ error: 'Search query is required' });
-        }
-        
-        const data = await makePexelsRequest('search', {
-            query: q,
-            page: parseInt(page),
-            per_page: Math.min(parseInt(per_page), 80),
-            orientation: orientation,
-            size: 'medium',
-            min_duration: 5
-        });
-        
-        res.json(data);
-    } catch (error) {
-        console.error('Search error:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to search videos',
-            message: error.response?.data || error.message
-        });
+// Filters: orientation, size, min_duration, max_duration (seconds), locale and
+// min_resolution (pixels on the shorter side, e.g. 1080 for Full HD)
+app.get('/api/search', validate({
+    query: {
+        q: rules.query,
+        page: rules.page,
+        per_page: rules.perPage,
+        orientation: optional(rules.orientation),
+        size: optional(rules.size),
+        min_duration: rules.duration,
+        max_duration: rules.duration,
+        locale: rules.locale,
+        min_resolution: rules.resolution
     }
-});
+}), asyncHandler(async (req, res) => {
+    const { q, page, per_page, orientation, size, locale, min_duration, max_duration, min_resolution } = req.valid;
+    
+    if (min_duration !== undefined && max_duration !== undefined && min_duration > max_duration) {
+        throw new ApiError(400, 'INVALID_PARAMETER', 'min_duration must not be greater than max_duration');
+    }
+    
+    const data = await providerRequest('search', {
+        query: q,
+        page: page,
+        per_page: per_page,
+        orientation: orientation,
+        size: size,
+        locale: locale,
+        min_duration: min_duration,
+        max_duration: max_duration,
+        min_resolution: min_resolution
+    });
+    
+    const result = filterVideos(data, { min_duration, max_duration, min_resolution });
+    
+    // Searches are counted here rather than reported by the client, so the public
+    // trending list only holds queries people really ran. Later pages aren't new searches.
+    if (page === 1 && req.get('DNT') !== '1') {
+        analytics.recordSearch(q, result.total_results ?? result.videos.length, req.ip);
+    }
+    
+    res.json(result);
+}));
 
 // Get video by ID
-app.get('/api/video/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const data = await makePexelsRequest(`videos/${id}`);
-        res.json(data);
-    } catch (error) {
-        console.error('Video details error:', error.message);
-        res.status(404).json({ 
-            error: 'Video not found',
-            message: error.response?.data || error.message
-        });
+app.get('/api/video/:id', validate({
+    params: { id: rules.videoId }
+}), asyncHandler(async (req, res) => {
+    const data = await providerRequest('getVideo', req.valid.id);
+    res.json(data);
+}));
+
+// Related videos: searches with keywords from the video's tags, title and URL slug,
+// then ranks by keyword overlap, same contributor and resolution/duration similarity.
+// `exclude` lists already-watched ids to leave out.
+app.get('/api/video/:id/related', validate({
+    params: { id: rules.videoId },
+    query: { per_page: integer({ min: 1, max: 24, defaultValue: 6 }), exclude: idList() }
+}), asyncHandler(async (req, res) => {
+    const { id, per_page, exclude } = req.valid;
+    const video = await providerRequest('getVideo', id);
+    const keywords = extractKeywords(video);
+    const orientation = video.width > video.height ? 'landscape' : video.width < video.height ? 'portrait' : 'square';
+    
+    let candidates = [];
+    if (keywords.length > 0) {
+        const data = await providerRequest('search', { query: keywords.join(' '), page: 1, per_page: 40, orientation });
+        candidates = data.videos || [];
     }
-});
+    
+    // Too few matches for the full keyword set: broaden to the strongest keyword, then to popular
+    let related = rankRelated(video, candidates, keywords, exclude);
+    if (related.length < per_page && keywords.length > 1) {
+        const data = await providerRequest('search', { query: keywords[0], page: 1, per_page: 40, orientation });
+        candidates = candidates.concat(data.videos || []);
+        related = rankRelated(video, candidates, keywords, exclude);
+    }
+    if (related.length < per_page) {
+        const data = await providerRequest('popular', { page: 1, per_page: 40 });
+        candidates = candidates.concat(data.videos || []);
+        related = rankRelated(video, candidates, keywords, exclude);
+    }
+    
+    res.json({ id: id, keywords: keywords, videos: related.slice(0, per_page) });
+}));
+
+// List categories with their cached result counts
+app.get('/api/categories', asyncHandler(async (req, res) => {
+    const categories = await Promise.all(catalog.categories.map(entry => withCount('categories', entry)));
+    res.json(categories);
+}));
 
 // Get videos by category
-app.get('/api/category/:category', async (req, res) => {
-    try {
-        const { category } = req.params;
-        const { page = 1, per_page = 15 } = req.query;
-        
-        const categories = {
-            'nature': 'nature landscape',
-            'technology': 'technology',
-            'business': 'business office',
-            'people': 'people',
-            'animals': 'animals wildlife',
-            'travel': 'travel city',
-            'sports': 'sports',
-            'food': 'food cooking',
-            'music': 'music concert',
-            'art': 'art creative'
-        };
-        
-        const query = categories[category] || category;
-        
-        const data = await makePexelsRequest('search', {
-            query: query,
-            page: parseInt(page),
-            per_page: Math.min(parseInt(per_page), 80),
-            orientation: 'landscape'
-        });
-        
-        res.json(data);
-    } catch (error) {
-        console.error('Category error:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to fetch category videos',
-            message: error.response?.data || error.message
-        });
+// Unknown category ids are searched for as free text
+app.get('/api/category/:category', validate({
+    params: { category: rules.slug },
+    query: { page: rules.page, per_page: rules.perPage }
+}), asyncHandler(async (req, res) => {
+    const { category, page, per_page } = req.valid;
+    const entry = catalog.categories.find(c => c.id === category)
+        || { query: category, filters: { orientation: 'landscape' } };
+    
+    const data = await providerRequest('search', catalogParams(entry, { page, per_page }));
+    res.json(data);
+}));
+
+// Get curated collections with their cached result counts
+app.get('/api/collections', asyncHandler(async (req, res) => {
+    const collections = await Promise.all(catalog.collections.map(entry => withCount('collections', entry)));
+    res.json(collections);
+}));
+
+// Get videos from a collection
+app.get('/api/collection/:id', validate({
+    params: { id: rules.slug },
+    query: { page: rules.page, per_page: rules.perPage }
+}), asyncHandler(async (req, res) => {
+    const { id, page, per_page } = req.valid;
+    const entry = catalog.collections.find(c => c.id === id)
+        || { query: id, filters: { orientation: 'landscape' } };
+    
+    const data = await providerRequest('collection', id, catalogParams(entry, { page, per_page }));
+    res.json(data);
+}));
+
+// Accounts: users and their synced data live in a JSON file
+const users = new UserStore(process.env.USER_DATA_FILE || path.join(__dirname, 'data', 'users.json'));
+
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET is not set; using a random secret, so sign-ins will not survive a restart');
+}
+const tokens = createTokens(process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'));
+const authenticate = requireAuth(tokens, users);
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function session(user) {
+    return {
+        user: { id: user.id, username: user.username, createdAt: user.createdAt },
+        token: tokens.sign(user)
+    };
+}
+
+// Create an account
+app.post('/api/auth/register', validate({
+    body: { username: rules.username, password: rules.password }
+}), asyncHandler(async (req, res) => {
+    const { username, password } = req.valid;
+    // Skip the slow hash for names that are obviously taken; createUser checks again
+    if (users.findByUsername(username)) {
+        throw new ApiError(409, 'USERNAME_TAKEN', 'That username is already taken');
+    }
+    
+    const user = await users.createUser(username, await hashPassword(password));
+    res.status(201).json(session(user));
+}));
+
+// Sign in
+app.post('/api/auth/login', validate({
+    body: { username: string({ maxLength: 32 }), password: password({ minLength: 1 }) }
+}), asyncHandler(async (req, res) => {
+    const user = users.findByUsername(req.valid.username);
+    const valid = await verifyPassword(req.valid.password, user ? user.passwordHash : await DUMMY_PASSWORD_HASH);
+    
+    if (!user || !valid) {
+        throw new ApiError(401, 'INVALID_CREDENTIALS', 'Wrong username or password');
     }
+    res.json(session(user));
+}));
+
+// Current user
+app.get('/api/auth/me', authenticate, (req, res) => {
+    const { id, username, createdAt } = req.user;
+    res.json({ user: { id, username, createdAt } });
 });
 
-// Get curated collections
-app.get('/api/collections', async (req, res) => {
-    const collections = [
-        {
-            id: 'featured',
-            name: 'Featured Videos',
-            description: 'Hand-picked high quality videos',
-            thumbnail: 'https://images.pexels.com/videos/3209298/free-video-3209298.jpg',
-            count: 50
-        },
-        {
-            id: '4k',
-            name: '4K Ultra HD',
-            description: 'Stunning 4K resolution videos',
-            thumbnail: 'https://images.pexels.com/videos/3045163/free-video-3045163.jpg',
-            count: 100
-        },
-        {
-            id: 'slowmo',
-            name: 'Slow Motion',
-            description: 'Beautiful slow motion footage',
-            thumbnail: 'https://images.pexels.com/videos/3015520/free-video-3015520.jpg',
-            count: 75
-        },
-        {
-            id: 'aerial',
-            name: 'Aerial & Drone',
-            description: 'Breathtaking aerial views',
-            thumbnail: 'https://images.pexels.com/videos/3121459/free-video-3121459.jpg',
-            count: 60
-        },
-        {
-            id: 'time-lapse',
-            name: 'Time Lapse',
-            description: 'Time lapse videos of nature and cities',
-            thumbnail: 'https://images.pexels.com/videos/3561874/free-video-3561874.jpg',
-            count: 45
-        },
-        {
-            id: 'underwater',
-            name: 'Underwater',
-            description: 'Marine life and underwater scenes',
-            thumbnail: 'https://images.pexels.com/videos/3362061/free-video-3362061.jpg',
-            count: 30
-        }
-    ];
+function collectionResponse(name, collection) {
+    return { collection: name, version: collection.version, records: Object.values(collection.items) };
+}
+
+// Get a synced collection, including deletions
+app.get('/api/sync/:collection', authenticate, validate({
+    params: { collection: oneOf(SYNC_COLLECTIONS) }
+}), (req, res) => {
+    const name = req.valid.collection;
+    res.json(collectionResponse(name, users.collection(req.user.id, name)));
+});
+
+// Merge a client's changes into a collection and return the result.
+// Body: { records: [{ id, updatedAt, deleted?, data? }] }; newest updatedAt wins per record.
+app.post('/api/sync/:collection', authenticate, validate({
+    params: { collection: oneOf(SYNC_COLLECTIONS) }
+}), asyncHandler(async (req, res) => {
+    const name = req.valid.collection;
+    const records = req.body?.records;
     
-    res.json(collections);
+    if (!Array.isArray(records) || records.length > MAX_RECORDS) {
+        throw new ApiError(400, 'INVALID_PARAMETER', `records must be an array of at most ${MAX_RECORDS} items`);
+    }
+    const errors = records
+        .map((record, index) => ({ index, message: checkRecord(record) }))
+        .filter(error => error.message)
+        .map(error => ({ param: `records[${error.index}]`, message: `records[${error.index}] ${error.message}` }));
+    if (errors.length > 0) {
+        throw new ApiError(400, 'INVALID_PARAMETER', errors[0].message, errors);
+    }
+    
+    const collection = await users.sync(req.user.id, name, records);
+    res.json(collectionResponse(name, collection));
+}));
+
+// Batches of usage events, usually sent with navigator.sendBeacon. The app sends
+// one every 30 seconds or so; a client sending many more is cut off.
+// Body: { events: [{ type, videoId?, code? }] }
+app.post('/api/events', rateLimit({ windowMs: 60 * 1000, max: 10 }), (req, res) => {
+    const events = req.body?.events;
+    
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH) {
+        throw new ApiError(400, 'INVALID_PARAMETER', `events must be an array of 1 to ${MAX_BATCH} items`);
+    }
+    const errors = events
+        .map((event, index) => ({ index, message: checkEvent(event) }))
+        .filter(error => error.message)
+        .map(error => ({ param: `events[${error.index}]`, message: `events[${error.index}] ${error.message}` }));
+    if (errors.length > 0) {
+        throw new ApiError(400, 'INVALID_PARAMETER', errors[0].message, errors);
+    }
+    
+    // /api/search counts searches itself; ones still sent by older clients are ignored
+    analytics.record(events.filter(event => event.type !== 'search'), req.ip);
+    res.status(204).end();
 });
 
-// Get videos from a collection
-app.get('/api/collection/:id', async (req, res) => {
+// Library size, catalog and usage statistics. Top lists cover ?window= (24h, 7d or 30d).
+app.get('/api/stats', validate({
+    query: {
+        window: oneOf(Object.keys(WINDOWS), { defaultValue: '7d' }),
+        limit: integer({ min: 1, max: 50, defaultValue: 10 })
+    }
+}), asyncHandler(async (req, res) => {
+    let totalVideos = null;
     try {
-        const { id } = req.params;
-        const { page = 1, per_page = 15 } = req.query;
-        
-        const collectionQueries = {
-            'featured': '4k beautiful cinematic',
-            '4k': '4k ultra hd quality',
-            'slowmo': 'slow motion cinematic',
-            'aerial': 'drone aerial view',
-            'time-lapse': 'time lapse',
-            'underwater': 'underwater ocean'
-        };
-        
-        const query = collectionQueries[id] || id;
-        
-        const data = await makePexelsRequest('search', {
-            query: query,
-            page: parseInt(page),
-            per_page: Math.min(parseInt(per_page), 80),
-            orientation: 'landscape'
-        });
-        
-        res.json(data);
+        const data = await cachedRequest('count_library', CATALOG_COUNT_TTL, 'popular', [{ page: 1, per_page: 1 }]);
+        totalVideos = data.total_results ?? null;
     } catch (error) {
-        console.error('Collection error:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to fetch collection videos',
-            message: error.response?.data || error.message
-        });
+        console.warn('Could not count the library:', error.message);
     }
+    
+    res.json({
+        totalVideos: totalVideos,
+        categories: catalog.categories.length,
+        collections: catalog.collections.length,
+        usage: analytics.stats(req.valid),
+        cache: cache.stats(),
+        uptime: process.uptime()
+    });
+}));
+
+// Videos played most on FreeStream this week, recent plays weighing more. Plays are
+// counted once per client and hour (see AnalyticsStore.record). Details come from the
+// provider (cached like /api/video/:id); videos gone upstream are left out.
+app.get('/api/popular/local', validate({
+    query: { limit: integer({ min: 1, max: 20, defaultValue: 5 }) }
+}), asyncHandler(async (req, res) => {
+    const ranked = analytics.popularVideos(req.valid.limit);
+    const results = await Promise.allSettled(ranked.map(entry => providerRequest('getVideo', entry.videoId)));
+    
+    const videos = ranked
+        .map((entry, index) => results[index].status === 'fulfilled'
+            ? { ...results[index].value, plays: entry.plays, score: entry.score }
+            : null)
+        .filter(Boolean);
+    res.json({ window: '7d', videos: videos });
+}));
+
+// Most searched queries this week, recent searches weighing more
+app.get('/api/queries/top', validate({
+    query: { limit: integer({ min: 1, max: 50, defaultValue: 10 }) }
+}), (req, res) => {
+    res.json({ window: '7d', queries: analytics.topQueries(req.valid.limit) });
 });
 
-// Get video statistics (mock data)
-app.get('/api/stats', (req, res) => {
-    const stats = {
-        totalVideos: 15000,
-        categories: 10,
-        collections: 6,
-        cacheHits: cache.size,
-        uptime: process.uptime()
-    };
-    res.json(stats);
+// Search autocomplete: category and collection names, trending searches and the
+// curated keywords, matched by prefix and with typos. Each suggestion carries the
+// [start, end) range of its text that matched.
+app.get('/api/suggest', validate({
+    query: { q: rules.query, limit: integer({ min: 1, max: 20, defaultValue: 8 }) }
+}), (req, res) => {
+    const { q, limit } = req.valid;
+    const candidates = [
+        ...catalog.categories.map(entry => ({ text: entry.name, type: 'category', id: entry.id })),
+        ...catalog.collections.map(entry => ({ text: entry.name, type: 'collection', id: entry.id })),
+        ...analytics.topQueries(50).map(entry => ({ text: entry.query, type: 'popular', weight: entry.score })),
+        ...keywords.map(keyword => ({ text: keyword, type: 'keyword' }))
+    ];
+    res.json({ query: q, suggestions: suggest(q, candidates, limit) });
 });
 
-// Clear cache (admin endpoint)
-app.delete('/api/cache', (req, res) => {
-    const { secret } = req.query;
-    if (secret === process.env.ADMIN_SECRET) {
-        const cleared = cache.size;
-        cache.clear();
-        res.json({ message: `Cache cleared (${cleared} items)` });
-    } else {
-        res.status(403).json({ error: 'Unauthorized' });
+// Admin API: cache, upstream health and catalog editing, behind ADMIN_TOKEN
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+if (ADMIN_TOKEN && ADMIN_TOKEN.length < 16) {
+    console.warn('⚠️  ADMIN_TOKEN is shorter than 16 characters; use a long random value.');
+}
+
+app.use('/api/admin', createAdminRouter({
+    token: ADMIN_TOKEN,
+    cache: cache,
+    catalog: catalog,
+    saveCatalog: updated => saveCatalog(CATALOG_FILE, updated),
+    upstream: () => ({
+        provider: provider.name,
+        quota: provider.getQuota(),
+        ...upstream.summary()
+    }),
+    // Counts and the sitemap are derived from the catalog
+    onCatalogChange: async () => {
+        await cache.deletePrefix('count_');
+        sitemapCache = null;
+        warmCatalogCounts();
     }
+}));
+
+app.get('/admin', (req, res) => {
+    res.set('Cache-Control', 'no-cache').sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Video proxy (allowlisted media hosts only)
+const proxyVideo = createVideoProxy(proxyGuard);
+
+const validateProxyRequest = validate({
+    query: { url: string({ maxLength: 2048 }) }
 });
 
-// Get video download links (proxied to avoid CORS)
-app.get('/api/proxy/video', async (req, res) => {
+app.route('/api/proxy/video')
+    .get(validateProxyRequest, proxyVideo)
+    .head(validateProxyRequest, proxyVideo);
+
+// Unknown API endpoints get a JSON 404 rather than the SPA shell
+app.use('/api', (req, res, next) => {
+    next(new ApiError(404, 'NOT_FOUND', `No API endpoint at ${req.method} ${req.originalUrl}`));
+});
+
+// Absolute base for canonical and sitemap URLs. Set PUBLIC_URL behind a proxy
+// so links don't depend on the Host header.
+function siteUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Watch pages are rendered with the video's title, preview tags and JSON-LD so
+// shared links and crawlers see the video; the client then boots as usual.
+app.get('/watch/:id', asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) return sendShell(req, res);
+    
+    let video;
     try {
-        const { url } = req.query;
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
-        
-        const response = await axios.get(url, {
-            responseType: 'stream',
-            headers: {
-                'Referer': 'https://www.pexels.com/',
-                'User-Agent': 'FreeVideoStreamer/1.0'
-            }
-        });
-        
-        res.setHeader('Content-Type', response.headers['content-type']);
-        res.setHeader('Content-Length', response.headers['content-length']);
-        
-        response.data.pipe(res);
+        video = await providerRequest('getVideo', id);
     } catch (error) {
-        console.error('Proxy error:', error.message);
-        res.status(500).json({ error: 'Failed to proxy video' });
+        // The client shows the error; crawlers get the status
+        if (toApiError(error).status === 404) res.status(404);
+        return sendShell(req, res);
     }
-});
+    
+    const baseUrl = siteUrl(req);
+    const head = watchPageHead(video, { baseUrl, pageUrl: `${baseUrl}/watch/${id}` });
+    res.set('Cache-Control', 'no-cache').type('html').send(injectHead(assets.html, head));
+}));
+
+// Sitemap: home, categories, collections and the videos they currently list
+const SITEMAP_TTL = 60 * 60 * 1000; // 1 hour
+const SITEMAP_VIDEOS_PER_SOURCE = 20;
+let sitemapCache = null;
+
+async function buildSitemap(baseUrl) {
+    const params = { page: 1, per_page: SITEMAP_VIDEOS_PER_SOURCE };
+    const sources = [
+        providerRequest('popular', { ...params, min_width: 640, min_duration: 5 }),
+        ...catalog.categories.map(entry => providerRequest('search', catalogParams(entry, params))),
+        ...catalog.collections.map(entry => providerRequest('collection', entry.id, catalogParams(entry, params)))
+    ];
+    
+    // A failing source only leaves its videos out
+    const results = await Promise.allSettled(sources);
+    const videoIds = new Set();
+    results.forEach(result => {
+        if (result.status === 'fulfilled') (result.value.videos || []).forEach(video => videoIds.add(video.id));
+    });
+    
+    return sitemap([
+        { loc: `${baseUrl}/`, changefreq: 'daily', priority: '1.0' },
+        ...catalog.categories.map(entry => ({ loc: `${baseUrl}/category/${entry.id}`, changefreq: 'daily', priority: '0.8' })),
+        ...catalog.collections.map(entry => ({ loc: `${baseUrl}/collection/${entry.id}`, changefreq: 'daily', priority: '0.8' })),
+        ...[...videoIds].map(id => ({ loc: `${baseUrl}/watch/${id}`, changefreq: 'weekly', priority: '0.6' }))
+    ]);
+}
+
+app.get('/sitemap.xml', asyncHandler(async (req, res) => {
+    const baseUrl = siteUrl(req);
+    if (!sitemapCache || sitemapCache.baseUrl !== baseUrl || sitemapCache.expiresAt < Date.now()) {
+        sitemapCache = { baseUrl: baseUrl, xml: await buildSitemap(baseUrl), expiresAt: Date.now() + SITEMAP_TTL };
+    }
+    res.set('Cache-Control', 'public, max-age=3600').type('application/xml').send(sitemapCache.xml);
+}));
 
 // Serve index.html for all other routes (SPA)
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+app.get('*', sendShell);
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Server error:', err.stack);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-});
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
+    warmCatalogCounts();
+    
     console.log(`
     🎬 FREE Video Streaming Platform
     📍 Port: ${PORT}
-    🔑 API: Pexels (Free)
+    🔑 API: ${provider.name}
     💾 Cache: Enabled
+    📦 Build: ${assets.version}
     🚀 Server ready at http://localhost:${PORT}
     `);
     
@@ -334,12 +630,30 @@ app.listen(PORT, () => {
     ----------------------
     GET  /api/health           - Health check
     GET  /api/trending         - Trending videos
-    GET  /api/search?q=query   - Search videos
+    GET  /api/search?q=query   - Search videos (orientation, size, duration, locale, resolution filters)
     GET  /api/video/:id        - Get video details
+    GET  /api/video/:id/related - Related videos
+    GET  /api/categories       - List categories
     GET  /api/category/:name   - Get videos by category
     GET  /api/collections      - List collections
     GET  /api/collection/:id   - Get collection videos
-    GET  /api/stats            - Platform statistics
-    DELETE /api/cache?secret=  - Clear cache (admin)
+    POST /api/auth/register    - Create an account
+    POST /api/auth/login       - Sign in (returns a bearer token)
+    GET  /api/auth/me          - Current user
+    GET  /api/sync/:collection - Synced likes, saves, history, searches, queue or playlists
+    POST /api/sync/:collection - Merge changes into a synced collection
+    POST /api/events           - Record a batch of anonymous usage events
+    GET  /api/stats            - Library size and usage statistics (?window=24h|7d|30d)
+    GET  /api/popular/local    - Most played on FreeStream this week
+    GET  /api/queries/top      - Trending searches this week
+    GET  /api/suggest?q=query  - Search autocomplete
+    GET  /api/admin/status     - Cache, upstream quota and error rates (admin)
+    GET  /api/admin/cache      - Inspect cache entries by prefix (admin)
+    DELETE /api/admin/cache    - Purge cache entries by prefix (admin)
+    GET  /api/admin/catalog    - Categories and collections (admin)
+    PUT  /api/admin/catalog    - Replace categories and collections (admin)
+    GET  /api/proxy/video?url= - Proxy video (Range/HEAD supported)
+    GET  /watch/:id            - Watch page with preview metadata
+    GET  /sitemap.xml          - Sitemap
     `);
 });
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createAdminRouter, safeEqual } = require('../lib/admin');
+const { Cache } = require('../lib/cache');
+const { requestId, errorHandler } = require('../lib/errors');
+
+const TOKEN = 'admin-secret';
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('admin API', () => {
+    const servers = [];
+    let baseUrl;
+    let cache;
+    let catalog;
+    let saved;
+    let changes;
+    
+    // An app with the admin API mounted as in server.js, configured with `token`
+    async function start(token) {
+        const app = express();
+        app.use(requestId);
+        app.use(express.json());
+        app.use('/api/admin', createAdminRouter({
+            token: token,
+            cache: cache,
+            catalog: catalog,
+            saveCatalog: async updated => {
+                saved = updated;
+            },
+            upstream: () => ({ provider: 'Test' }),
+            onCatalogChange: () => {
+                changes++;
+            }
+        }));
+        app.use(errorHandler);
+        
+        const server = http.createServer(app);
+        servers.push(server);
+        return `http://127.0.0.1:${await listen(server)}/api/admin`;
+    }
+    
+    before(async () => {
+        cache = new Cache({ sweepInterval: 0 });
+        catalog = { categories: [], collections: [] };
+        baseUrl = await start(TOKEN);
+    });
+    
+    beforeEach(async () => {
+        await cache.clear();
+        catalog.categories = [];
+        catalog.collections = [];
+        saved = null;
+        changes = 0;
+    });
+    
+    after(() => {
+        servers.forEach(server => server.close());
+    });
+    
+    const request = (path, { token = TOKEN, ...options } = {}) => fetch(`${baseUrl}${path}`, {
+        ...options,
+        headers: { ...(token && { Authorization: `Bearer ${token}` }), ...options.headers }
+    });
+    
+    async function expectError(response, status, code) {
+        assert.equal(response.status, status);
+        const body = await response.json();
+        assert.equal(body.error.code, code);
+        assert.equal(body.error.requestId, response.headers.get('x-request-id'));
+    }
+    
+    describe('token check', () => {
+        it('is switched off without a configured token', async () => {
+            const disabledUrl = await start('');
+            const response = await fetch(`${disabledUrl}/status`, { headers: { Authorization: 'Bearer ' } });
+            await expectError(response, 503, 'ADMIN_DISABLED');
+        });
+        
+        it('rejects a missing, wrong or non-bearer token', async () => {
+            await expectError(await request('/status', { token: null }), 401, 'UNAUTHORIZED');
+            await expectError(await request('/status', { token: 'admin-secreT' }), 401, 'UNAUTHORIZED');
+            await expectError(await request('/status', { token: `${TOKEN}x` }), 401, 'UNAUTHORIZED');
+            await expectError(await request('/status', { token: null, headers: { Authorization: `Basic ${TOKEN}` } }), 401, 'UNAUTHORIZED');
+        });
+        
+        it('guards every route', async () => {
+            await expectError(await request('/cache', { token: 'wrong' }), 401, 'UNAUTHORIZED');
+            await expectError(await request('/cache?all=true', { token: 'wrong', method: 'DELETE' }), 401, 'UNAUTHORIZED');
+            await expectError(await request('/catalog', { token: 'wrong', method: 'PUT' }), 401, 'UNAUTHORIZED');
+            assert.equal(saved, null);
+        });
+        
+        it('answers with the right token', async () => {
+            const response = await request('/status');
+            assert.equal(response.status, 200);
+            const body = await response.json();
+            assert.deepEqual(body.upstream, { provider: 'Test' });
+            assert.equal(body.cache.entries, 0);
+        });
+    });
+    
+    describe('cache', () => {
+        it('lists and purges entries by prefix', async () => {
+            await cache.set('search_ocean', { videos: [] });
+            await cache.set('search_forest', { videos: [] });
+            await cache.set('popular_1', { videos: [] });
+            
+            const listed = await (await request('/cache?prefix=search_')).json();
+            assert.equal(listed.total, 2);
+            assert.deepEqual(listed.entries.map(entry => entry.key), ['search_forest', 'search_ocean']);
+            
+            const purged = await (await request('/cache?prefix=search_', { method: 'DELETE' })).json();
+            assert.deepEqual(purged, { removed: 2 });
+            assert.deepEqual(cache.keys(), ['popular_1']);
+        });
+        
+        it('clears everything only when asked to explicitly', async () => {
+            await cache.set('popular_1', {});
+            await expectError(await request('/cache', { method: 'DELETE' }), 400, 'INVALID_PARAMETER');
+            assert.equal(cache.size, 1);
+            
+            assert.deepEqual(await (await request('/cache?all=true', { method: 'DELETE' })).json(), { removed: 1 });
+            assert.equal(cache.size, 0);
+        });
+    });
+    
+    describe('catalog', () => {
+        const put = body => request('/catalog', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        it('saves and applies a valid catalog', async () => {
+            const response = await put({ categories: [{ id: 'ocean', name: 'Ocean', query: 'ocean' }], collections: [] });
+            
+            assert.equal(response.status, 200);
+            assert.deepEqual(catalog.categories.map(entry => entry.id), ['ocean']);
+            assert.deepEqual(saved.categories.map(entry => entry.id), ['ocean']);
+            assert.equal(changes, 1);
+        });
+        
+        it('leaves the catalog alone when the edit is invalid', async () => {
+            catalog.categories = [{ id: 'old', name: 'Old', query: 'old' }];
+            await expectError(await put({ categories: [{ id: 'ocean', name: 'Ocean', query: 'ocean', filters: { colour: 'blue' } }] }), 400, 'INVALID_CATALOG');
+            
+            assert.deepEqual(catalog.categories.map(entry => entry.id), ['old']);
+            assert.equal(saved, null);
+            assert.equal(changes, 0);
+        });
+    });
+    
+    describe('safeEqual', () => {
+        it('compares values of any length', () => {
+            assert.equal(safeEqual('admin-secret', 'admin-secret'), true);
+            assert.equal(safeEqual('admin-secret', 'admin-secre'), false);
+            assert.equal(safeEqual('', 'admin-secret'), false);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AnalyticsStore } = require('../lib/analytics');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 15, 12, 30);
+
+describe('analytics store', () => {
+    let directory;
+    let file;
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freestream-analytics-'));
+        file = path.join(directory, 'analytics.json');
+    });
+    
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    describe('Object.prototype names', () => {
+        const queries = ['constructor', '__proto__', 'prototype'];
+        
+        function search(analytics) {
+            queries.forEach(query => {
+                ['client-a', 'client-b'].forEach(client => analytics.recordSearch(query, 5, client, NOW));
+            });
+        }
+        
+        it('counts them like any other query', () => {
+            const analytics = new AnalyticsStore(file);
+            search(analytics);
+            
+            const stats = analytics.stats({}, NOW);
+            assert.deepEqual(stats.topQueries.map(entry => entry.query).sort(), [...queries].sort());
+            stats.topQueries.forEach(entry => assert.equal(entry.count, 2));
+            assert.deepEqual(analytics.topQueries(10, NOW).map(entry => entry.searches), [2, 2, 2]);
+        });
+        
+        it('keeps them after a restart', async () => {
+            const analytics = new AnalyticsStore(file);
+            search(analytics);
+            await analytics.save();
+            
+            const reloaded = new AnalyticsStore(file);
+            reloaded.recordSearch('__proto__', 5, 'client-c', NOW);
+            
+            const counts = Object.fromEntries(reloaded.stats({}, NOW).topQueries.map(entry => [entry.query, entry.count]));
+            assert.equal(counts.__proto__, 3);
+            assert.equal(counts.constructor, 2);
+        });
+    });
+    
+    describe('record', () => {
+        it('counts a play, like or queue add once per client, video and hour', () => {
+            const analytics = new AnalyticsStore(file);
+            const batch = [
+                { type: 'play', videoId: 7 },
+                { type: 'play', videoId: 7 },
+                { type: 'like', videoId: 7 },
+                { type: 'like', videoId: 7 },
+                { type: 'queue_add', videoId: 7 },
+                { type: 'play', videoId: 8 }
+            ];
+            
+            assert.equal(analytics.record(batch, 'client-a', NOW), 4);
+            assert.equal(analytics.record(batch, 'client-a', NOW + 10 * 60 * 1000), 0);
+            assert.equal(analytics.record(batch, 'client-b', NOW), 4);
+            assert.equal(analytics.record(batch, 'client-a', NOW + HOUR), 4);
+            
+            const { windows, mostPlayed } = analytics.stats({}, NOW + HOUR);
+            assert.equal(windows['24h'].plays, 6);
+            assert.equal(windows['24h'].likes, 3);
+            assert.deepEqual(mostPlayed.map(entry => [entry.videoId, entry.plays]), [[7, 3], [8, 3]]);
+        });
+        
+        it('counts at most one completion per play', () => {
+            const analytics = new AnalyticsStore(file);
+            const loop = [{ type: 'play', videoId: 7 }, ...Array(5).fill({ type: 'complete', videoId: 7 })];
+            
+            assert.equal(analytics.record(loop, 'client-a', NOW), 2);
+            // A completion without a play is not counted
+            assert.equal(analytics.record([{ type: 'complete', videoId: 9 }], 'client-a', NOW), 0);
+            assert.equal(analytics.record(loop, 'client-b', NOW), 2);
+            
+            const { windows, mostPlayed } = analytics.stats({}, NOW);
+            assert.equal(windows['24h'].completions, 2);
+            assert.equal(windows['24h'].playThroughRate, 1);
+            assert.deepEqual(mostPlayed[0], { videoId: 7, plays: 2, completions: 2, playThroughRate: 1 });
+        });
+        
+        it('counts every error', () => {
+            const analytics = new AnalyticsStore(file);
+            const error = { type: 'error', code: 'HTTP_500' };
+            
+            assert.equal(analytics.record([error, error], 'client-a', NOW), 2);
+            assert.deepEqual(analytics.stats({}, NOW).errors, [{ code: 'HTTP_500', count: 2 }]);
+        });
+    });
+    
+    describe('recordSearch', () => {
+        it('counts a query once per client and hour', () => {
+            const analytics = new AnalyticsStore(file);
+            
+            assert.equal(analytics.recordSearch('Ocean Waves', 12, 'client-a', NOW), true);
+            assert.equal(analytics.recordSearch('  ocean   waves ', 12, 'client-a', NOW), false);
+            assert.equal(analytics.recordSearch('ocean waves', 12, 'client-b', NOW), true);
+            assert.equal(analytics.recordSearch('ocean waves', 12, 'client-a', NOW + HOUR), true);
+            
+            assert.deepEqual(analytics.stats({}, NOW + HOUR).topQueries, [{ query: 'ocean waves', count: 3 }]);
+        });
+        
+        it('keeps counting new searches once many clients were seen', () => {
+            const analytics = new AnalyticsStore(file);
+            for (let i = 0; i < 50000; i++) analytics.recordSearch('ocean', 3, `client-${i}`, NOW);
+            
+            assert.equal(analytics.recordSearch('ocean', 3, 'latecomer', NOW), true);
+            // The oldest pairs were forgotten to make room
+            assert.equal(analytics.recordSearch('ocean', 3, 'client-0', NOW), true);
+            assert.equal(analytics.recordSearch('ocean', 3, 'latecomer', NOW), false);
+            assert.equal(analytics.stats({}, NOW).windows['24h'].searches, 50002);
+        });
+        
+        it('lists a query as trending only once several clients found something', () => {
+            const analytics = new AnalyticsStore(file);
+            
+            analytics.recordSearch('sunset', 8, 'client-a', NOW);
+            analytics.recordSearch('sunset', 8, 'client-a', NOW);
+            assert.deepEqual(analytics.topQueries(10, NOW), []);
+            
+            analytics.recordSearch('sunset', 8, 'client-b', NOW);
+            analytics.recordSearch('asdfgh', 0, 'client-a', NOW);
+            analytics.recordSearch('asdfgh', 0, 'client-b', NOW);
+            assert.deepEqual(analytics.topQueries(10, NOW).map(entry => entry.query), ['sunset']);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, createTokens, requireAuth } = require('../lib/auth');
+const { ApiError } = require('../lib/errors');
+
+const user = { id: 'user-1', username: 'alice' };
+
+// Swap one character of a token part for another valid base64url character
+function tamper(token, part) {
+    const parts = token.split('.');
+    parts[part] = (parts[part][0] === 'A' ? 'B' : 'A') + parts[part].slice(1);
+    return parts.join('.');
+}
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('auth', () => {
+    describe('passwords', () => {
+        it('verifies the password a hash was made from', async () => {
+            const stored = await hashPassword('correct horse');
+            
+            assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+            assert.equal(await verifyPassword('correct horse', stored), true);
+            assert.equal(await verifyPassword('correct horse!', stored), false);
+        });
+        
+        it('salts every hash', async () => {
+            assert.notEqual(await hashPassword('correct horse'), await hashPassword('correct horse'));
+        });
+        
+        it('rejects stored values in another format', async () => {
+            const [, salt, hash] = (await hashPassword('correct horse')).split('$');
+            
+            assert.equal(await verifyPassword('correct horse', `bcrypt$${salt}$${hash}`), false);
+            assert.equal(await verifyPassword('correct horse', `scrypt$${salt}$${hash.slice(2)}`), false);
+            assert.equal(await verifyPassword('correct horse', 'scrypt$$'), false);
+            assert.equal(await verifyPassword('correct horse', undefined), false);
+        });
+    });
+    
+    describe('tokens', () => {
+        const tokens = createTokens('secret');
+        
+        it('signs tokens that verify to the user', () => {
+            const claims = tokens.verify(tokens.sign(user));
+            
+            assert.equal(claims.sub, 'user-1');
+            assert.equal(claims.name, 'alice');
+            assert.equal(claims.exp - claims.iat, 30 * 24 * 60 * 60);
+        });
+        
+        it('rejects expired tokens', () => {
+            const expired = createTokens('secret', { ttl: -1 });
+            assert.equal(expired.verify(expired.sign(user)), null);
+        });
+        
+        it('rejects a tampered header, payload or signature', () => {
+            const token = tokens.sign(user);
+            [0, 1, 2].forEach(part => assert.equal(tokens.verify(tamper(token, part)), null, `part ${part}`));
+        });
+        
+        it('rejects tokens signed with another secret', () => {
+            assert.equal(tokens.verify(createTokens('other secret').sign(user)), null);
+        });
+        
+        it('rejects another algorithm even with a valid signature', () => {
+            const [, payload] = tokens.sign(user).split('.');
+            const header = encode({ alg: 'none', typ: 'JWT' });
+            const signature = crypto.createHmac('sha256', 'secret').update(`${header}.${payload}`).digest('base64url');
+            
+            assert.equal(tokens.verify(`${header}.${payload}.${signature}`), null);
+        });
+        
+        it('rejects malformed tokens', () => {
+            ['', 'abc', 'a.b', 'a.b.c', undefined].forEach(token => assert.equal(tokens.verify(token), null, String(token)));
+        });
+    });
+    
+    describe('requireAuth', () => {
+        const tokens = createTokens('secret');
+        const users = { getUser: id => (id === user.id ? user : null) };
+        const middleware = requireAuth(tokens, users);
+        
+        function run(authorization) {
+            const req = { get: name => (name === 'Authorization' ? authorization : undefined) };
+            let result;
+            middleware(req, {}, error => {
+                result = error || req.user;
+            });
+            return result;
+        }
+        
+        it('sets req.user from a valid bearer token', () => {
+            assert.equal(run(`Bearer ${tokens.sign(user)}`), user);
+        });
+        
+        it('answers 401 without a valid token or for an unknown user', () => {
+            [
+                undefined,
+                tokens.sign(user),
+                `Basic ${tokens.sign(user)}`,
+                `Bearer ${tamper(tokens.sign(user), 2)}`,
+                `Bearer ${tokens.sign({ id: 'deleted', username: 'bob' })}`
+            ].forEach(authorization => {
+                const error = run(authorization);
+                assert.ok(error instanceof ApiError, String(authorization));
+                assert.equal(error.status, 401);
+                assert.equal(error.code, 'UNAUTHORIZED');
+            });
+        });
+    });
+});
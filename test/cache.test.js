@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cache, FileStore } = require('../lib/cache');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('cache', () => {
+    const create = options => new Cache({ sweepInterval: 0, ...options });
+    
+    describe('LRU eviction', () => {
+        it('evicts the least recently used entry beyond maxEntries', async () => {
+            const cache = create({ maxEntries: 3 });
+            await cache.set('a', 1);
+            await cache.set('b', 2);
+            await cache.set('c', 3);
+            // Reading "a" makes "b" the least recently used
+            await cache.get('a');
+            await cache.set('d', 4);
+            
+            assert.deepEqual(cache.keys(), ['c', 'a', 'd']);
+            assert.equal(await cache.get('b'), undefined);
+            assert.equal(cache.stats().evictions, 1);
+        });
+        
+        it('keeps the total size under maxBytes', async () => {
+            // Each value is 10 bytes once serialised
+            const cache = create({ maxBytes: 25 });
+            await cache.set('a', 'x'.repeat(8));
+            await cache.set('b', 'y'.repeat(8));
+            assert.equal(cache.stats().bytes, 20);
+            
+            await cache.set('c', 'z'.repeat(8));
+            assert.deepEqual(cache.keys(), ['b', 'c']);
+            assert.equal(cache.stats().bytes, 20);
+            assert.equal(cache.stats().evictions, 1);
+        });
+        
+        it('refuses a value larger than maxBytes', async () => {
+            const cache = create({ maxBytes: 5 });
+            assert.equal(await cache.set('big', 'x'.repeat(10)), false);
+            assert.equal(cache.size, 0);
+            assert.equal(cache.stats().bytes, 0);
+        });
+        
+        it('accounts for replaced values', async () => {
+            const cache = create();
+            await cache.set('a', 'x'.repeat(8));
+            await cache.set('a', 'x');
+            assert.equal(cache.stats().bytes, 3);
+            assert.equal(cache.size, 1);
+        });
+    });
+    
+    describe('counters', () => {
+        it('counts hits, misses, sets and the hit rate', async () => {
+            const cache = create();
+            await cache.set('a', 1);
+            await cache.get('a');
+            await cache.get('a');
+            await cache.get('missing');
+            
+            const stats = cache.stats();
+            assert.equal(stats.sets, 1);
+            assert.equal(stats.hits, 2);
+            assert.equal(stats.misses, 1);
+            assert.equal(stats.hitRate, 0.667);
+            assert.equal(stats.entries, 1);
+        });
+    });
+    
+    describe('expiry', () => {
+        it('serves an expired entry as stale until the stale window ends', async () => {
+            const cache = create({ staleTTL: 40 });
+            await cache.set('a', 1, 10);
+            await sleep(20);
+            
+            assert.equal(await cache.get('a'), undefined);
+            const entry = await cache.lookup('a');
+            assert.equal(entry.value, 1);
+            assert.equal(entry.stale, true);
+            assert.equal(cache.stats().staleHits, 1);
+            
+            await sleep(40);
+            assert.equal(await cache.lookup('a'), undefined);
+            assert.equal(cache.size, 0);
+            assert.equal(cache.stats().expirations, 1);
+        });
+        
+        it('sweeps entries past their stale window', async () => {
+            const cache = create({ staleTTL: 0 });
+            await cache.set('a', 1, 10);
+            await cache.set('b', 2, 60 * 1000);
+            await sleep(20);
+            
+            await cache.sweep();
+            assert.deepEqual(cache.keys(), ['b']);
+            assert.equal(cache.stats().expirations, 1);
+        });
+    });
+    
+    describe('FileStore', () => {
+        let directory;
+        
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freestream-cache-'));
+        });
+        
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+        
+        it('removes entries left by a previous process and nothing else', async () => {
+            const orphan = path.join(directory, `${'a'.repeat(40)}.json`);
+            const other = path.join(directory, 'notes.json');
+            fs.writeFileSync(orphan, '1');
+            fs.writeFileSync(other, '{}');
+            
+            const store = new FileStore(directory);
+            await store.ready;
+            
+            assert.equal(fs.existsSync(orphan), false);
+            assert.equal(fs.existsSync(other), true);
+        });
+        
+        it('stores values through the cache', async () => {
+            const cache = create({ store: new FileStore(directory) });
+            await cache.set('a', { videos: [1, 2] });
+            
+            assert.deepEqual(await cache.get('a'), { videos: [1, 2] });
+            assert.equal(fs.readdirSync(directory).length, 1);
+            
+            await cache.delete('a');
+            assert.equal(fs.readdirSync(directory).length, 0);
+        });
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseCatalog, loadCatalog } = require('../lib/catalog');
+
+const category = fields => ({ categories: [{ id: 'ocean', name: 'Ocean', query: 'ocean', ...fields }] });
+
+describe('catalog', () => {
+    it('loads the shipped defaults', () => {
+        const catalog = loadCatalog(path.join(__dirname, 'missing.json'), path.join(__dirname, '..', 'config', 'catalog.json'));
+        assert.ok(catalog.categories.length > 0);
+        assert.ok(catalog.collections.length > 0);
+    });
+    
+    it('checks filter values with the search parameter rules', () => {
+        assert.throws(() => parseCatalog(category({ filters: { orientation: 'diagonal' } })), /filter orientation must be one of/);
+        assert.throws(() => parseCatalog(category({ filters: { min_duration: 'abc' } })), /filter min_duration must be an integer/);
+        assert.throws(() => parseCatalog(category({ filters: { min_resolution: 99999 } })), /filter min_resolution must be between/);
+        assert.throws(() => parseCatalog(category({ filters: { locale: ['en-US'] } })), /filter locale must be a string or a number/);
+        assert.throws(() => parseCatalog(category({ filters: { colour: 'blue' } })), /unknown filter "colour"/);
+    });
+    
+    it('normalises valid filters', () => {
+        const { categories } = parseCatalog(category({ filters: { min_duration: '10', orientation: 'portrait', size: '' } }));
+        assert.deepEqual(categories[0].filters, { min_duration: 10, orientation: 'portrait' });
+    });
+    
+    it('accepts http(s) and local thumbnails only', () => {
+        assert.doesNotThrow(() => parseCatalog(category({ thumbnail: 'https://images.example.com/ocean.jpg' })));
+        assert.doesNotThrow(() => parseCatalog(category({ thumbnail: '/media/ocean.jpg' })));
+        ['http://', '//evil.example/x.jpg', 'javascript:alert(1)'].forEach(thumbnail => {
+            assert.throws(() => parseCatalog(category({ thumbnail })), /invalid thumbnail/, thumbnail);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const PexelsProvider = require('../providers/pexels');
+const LocalLibraryProvider = require('../providers/local');
+
+// A video as the Pexels API returns it
+const pexelsVideo = id => ({
+    id: id,
+    width: 1920,
+    height: 1080,
+    duration: 21,
+    full_res: null,
+    tags: [],
+    url: `https://www.pexels.com/video/ocean-waves-${id}/`,
+    image: `https://images.pexels.com/videos/${id}/pictures/preview-0.jpg`,
+    avg_color: null,
+    user: { id: 42, name: 'Jane Doe', url: 'https://www.pexels.com/@jane' },
+    video_files: [
+        { id: 1, quality: 'hd', file_type: 'video/mp4', width: 1920, height: 1080, fps: 25, link: `https://videos.pexels.com/video-files/${id}/hd.mp4`, size: 1024 },
+        { id: 2, quality: 'sd', file_type: 'video/mp4', width: 640, height: 360, fps: 25, link: `https://videos.pexels.com/video-files/${id}/sd.mp4`, size: 256 }
+    ],
+    video_pictures: [{ id: 1, nr: 0, picture: `https://images.pexels.com/videos/${id}/pictures/preview-0.jpg` }]
+});
+
+// A page as the Pexels API returns it: next_page is a URL and left out on the last page
+function pexelsPage(url) {
+    const page = Number(url.searchParams.get('page')) || 1;
+    const perPage = Number(url.searchParams.get('per_page')) || 15;
+    const total = 3;
+    const ids = [1, 2, 3].slice((page - 1) * perPage, page * perPage);
+    
+    return {
+        page: page,
+        per_page: perPage,
+        total_results: total,
+        videos: ids.map(pexelsVideo),
+        ...(page * perPage < total && { next_page: `https://api.pexels.com/videos/popular?page=${page + 1}&per_page=${perPage}` })
+    };
+}
+
+// Fields only Pexels sends; the app doesn't read them
+const PEXELS_ONLY = ['full_res', 'avg_color', 'fps', 'size'];
+
+// Check that every field of `expected` exists in `actual` with the same type
+function assertSameShape(actual, expected, where = 'response') {
+    if (Array.isArray(expected)) {
+        assert.ok(Array.isArray(actual), `${where} should be an array`);
+        if (expected.length > 0 && actual.length > 0) assertSameShape(actual[0], expected[0], `${where}[0]`);
+        return;
+    }
+    if (expected === null || typeof expected !== 'object') {
+        if (expected !== null && actual !== null) assert.equal(typeof actual, typeof expected, `${where} should be a ${typeof expected}`);
+        return;
+    }
+    
+    assert.ok(actual && typeof actual === 'object', `${where} should be an object`);
+    Object.keys(expected)
+        .filter(key => !PEXELS_ONLY.includes(key) && key !== 'next_page')
+        .forEach(key => {
+            assert.ok(key in actual, `${where}.${key} is missing`);
+            assertSameShape(actual[key], expected[key], `${where}.${key}`);
+        });
+}
+
+describe('providers', () => {
+    let server;
+    let directory;
+    let pexels;
+    let local;
+    
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            const video = url.pathname.match(/^\/videos\/(\d+)$/);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(video ? pexelsVideo(Number(video[1])) : pexelsPage(url)));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        pexels = new PexelsProvider({ apiKey: 'test', baseUrl: `http://127.0.0.1:${server.address().port}` });
+        
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freestream-library-'));
+        fs.writeFileSync(path.join(directory, 'library.json'), JSON.stringify([
+            { id: 1, title: 'Ocean waves', file: 'ocean.mp4', thumbnail: 'ocean.jpg', width: 1920, height: 1080, duration: 21, tags: ['ocean'] },
+            {
+                id: 2,
+                title: 'Forest walk',
+                files: [
+                    { file: 'forest-hd.mp4', width: 1280, height: 720 },
+                    { file: 'forest-sd.mp4', width: 640, height: 360 }
+                ],
+                duration: 40,
+                tags: ['forest'],
+                user: { id: 7, name: 'Jane Doe', url: 'https://example.com/jane' }
+            },
+            { id: 3, title: 'Ocean reef', file: 'reef.mp4', width: 1280, height: 720, duration: 12, tags: ['ocean'] }
+        ]));
+        local = new LocalLibraryProvider({ directory: directory });
+    });
+    
+    after(() => {
+        server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    it('answer popular with the same shape', async () => {
+        const expected = await pexels.popular({ page: 1, per_page: 2 });
+        const actual = await local.popular({ page: 1, per_page: 2 });
+        
+        assertSameShape(actual, expected);
+        assert.equal(actual.videos.length, 2);
+    });
+    
+    it('answer search with the same shape', async () => {
+        const expected = await pexels.search({ query: 'ocean', page: 1, per_page: 15 });
+        const actual = await local.search({ query: 'ocean', page: 1, per_page: 15 });
+        
+        assertSameShape(actual, expected);
+        assert.deepEqual(actual.videos.map(video => video.id), [1, 3]);
+    });
+    
+    it('answer a single video with the same shape', async () => {
+        assertSameShape(await local.getVideo(2), await pexels.getVideo(2), 'video');
+        assertSameShape(await local.getVideo(1), await pexels.getVideo(1), 'video');
+    });
+    
+    it('paginate alike', async () => {
+        for (const provider of [pexels, local]) {
+            const first = await provider.popular({ page: 1, per_page: 2 });
+            const last = await provider.popular({ page: 2, per_page: 2 });
+            
+            assert.deepEqual([first.page, first.per_page, first.total_results], [1, 2, 3], provider.name);
+            assert.ok(first.next_page, `${provider.name} has a next page`);
+            assert.deepEqual([last.page, last.videos.length], [2, 1], provider.name);
+            assert.ok(!last.next_page, `${provider.name} has no page after the last`);
+        }
+    });
+    
+    it('serve local media under the media path', async () => {
+        const video = await local.getVideo(1);
+        
+        assert.equal(video.url, '/media/ocean.mp4');
+        assert.equal(video.image, '/media/ocean.jpg');
+        assert.deepEqual(video.video_pictures, [{ id: 1, picture: '/media/ocean.jpg', nr: 0 }]);
+        assert.deepEqual((await local.getVideo(2)).video_files.map(file => [file.quality, file.link]), [
+            ['hd', '/media/forest-hd.mp4'],
+            ['sd', '/media/forest-sd.mp4']
+        ]);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit } = require('../lib/rate-limit');
+
+// Run the middleware for a client and return what it passed to next()
+function request(limiter, ip) {
+    let result;
+    limiter({ ip }, {}, error => {
+        result = error || 'ok';
+    });
+    return result;
+}
+
+describe('rate limit', () => {
+    it('lets each client make `max` requests per window', () => {
+        const limiter = rateLimit({ windowMs: 60 * 1000, max: 3 });
+        
+        for (let i = 0; i < 3; i++) assert.equal(request(limiter, '10.0.0.1'), 'ok');
+        const error = request(limiter, '10.0.0.1');
+        assert.equal(error.status, 429);
+        assert.equal(error.code, 'TOO_MANY_REQUESTS');
+        assert.ok(error.retryAfter > 0 && error.retryAfter <= 60);
+        
+        assert.equal(request(limiter, '10.0.0.2'), 'ok');
+    });
+    
+    it('starts a new window once the old one ends', async () => {
+        const limiter = rateLimit({ windowMs: 20, max: 1 });
+        
+        assert.equal(request(limiter, '10.0.0.1'), 'ok');
+        assert.equal(request(limiter, '10.0.0.1').status, 429);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(request(limiter, '10.0.0.1'), 'ok');
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractKeywords, rankRelated } = require('../lib/related');
+
+const video = fields => ({
+    id: 1,
+    width: 1920,
+    height: 1080,
+    duration: 30,
+    user: { id: 10, name: 'Joey Farina' },
+    ...fields
+});
+
+describe('related videos', () => {
+    describe('extractKeywords', () => {
+        it('takes tags, then title, then URL slug words', () => {
+            const source = video({
+                tags: ['Ocean', { name: 'coral reef' }],
+                title: 'Fish swimming over the reef',
+                url: 'https://www.pexels.com/video/turtle-in-blue-water-2169880/'
+            });
+            assert.deepEqual(extractKeywords(source, 10), ['ocean', 'coral', 'reef', 'fish', 'swimming', 'turtle', 'blue', 'water']);
+            assert.deepEqual(extractKeywords(source), ['ocean', 'coral', 'reef', 'fish']);
+        });
+        
+        it('drops stopwords, numbers and short words', () => {
+            assert.deepEqual(extractKeywords(video({ title: 'A close up video of 4k waves at sea' })), ['waves', 'sea']);
+        });
+        
+        it('leaves the contributor out', () => {
+            const source = video({ url: 'https://www.pexels.com/video/sunset-beach-123/' });
+            assert.deepEqual(extractKeywords(source), ['sunset', 'beach']);
+            assert.deepEqual(extractKeywords(video({})), []);
+        });
+    });
+    
+    describe('rankRelated', () => {
+        const source = video({ tags: ['ocean', 'waves', 'sunset', 'beach'] });
+        const keywords = extractKeywords(source);
+        const rank = (candidates, exclude) => rankRelated(source, candidates, keywords, exclude).map(candidate => candidate.id);
+        
+        it('ranks by shared keywords', () => {
+            assert.deepEqual(rank([
+                video({ id: 2, tags: ['ocean'], user: { id: 20 } }),
+                video({ id: 3, tags: ['ocean', 'waves', 'sunset'], user: { id: 20 } }),
+                video({ id: 4, tags: ['forest'], user: { id: 20 } })
+            ]), [3, 2, 4]);
+        });
+        
+        it('prefers the same contributor when the keywords tie', () => {
+            assert.deepEqual(rank([
+                video({ id: 2, tags: ['ocean'], user: { id: 20 } }),
+                video({ id: 3, tags: ['ocean'] })
+            ]), [3, 2]);
+        });
+        
+        it('lets a much closer resolution and length outweigh one shared keyword', () => {
+            assert.deepEqual(rank([
+                // One keyword more, but 4K portrait and ten times as long
+                video({ id: 2, tags: ['ocean', 'waves'], width: 2160, height: 3840, duration: 300, user: { id: 20 } }),
+                video({ id: 3, tags: ['ocean'], user: { id: 20 } })
+            ]), [3, 2]);
+        });
+        
+        it('still lets several shared keywords win over similar format', () => {
+            assert.deepEqual(rank([
+                video({ id: 2, tags: ['ocean', 'waves', 'sunset'], width: 1280, height: 720, duration: 20, user: { id: 20 } }),
+                video({ id: 3, tags: ['ocean'], user: { id: 20 } })
+            ]), [2, 3]);
+        });
+        
+        it('leaves out the source, excluded ids and duplicates', () => {
+            const candidates = [video({ id: 1 }), video({ id: 2 }), video({ id: '2' }), video({ id: 3 }), video({ id: 4 })];
+            assert.deepEqual(rank(candidates, ['3']), [2, 4]);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, watchPageHead, injectHead, sitemap } = require('../lib/seo');
+
+const baseUrl = 'https://freevid.example';
+
+const video = fields => ({
+    id: 7,
+    width: 1920,
+    height: 1080,
+    duration: 65,
+    image: '/media/ocean.jpg',
+    user: { name: 'Jane Doe', url: 'https://example.com/jane' },
+    video_files: [
+        { link: '/media/ocean-sd.mp4', file_type: 'video/mp4', width: 640, height: 360 },
+        { link: '/media/ocean-hd.mp4', file_type: 'video/mp4', width: 1920, height: 1080 }
+    ],
+    ...fields
+});
+
+const head = (fields, pageUrl = `${baseUrl}/watch/7`) => watchPageHead(video(fields), { baseUrl, pageUrl });
+
+// The JSON-LD object embedded in a head
+function jsonLd(html) {
+    return JSON.parse(html.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1]);
+}
+
+describe('seo', () => {
+    describe('watchPageHead', () => {
+        it('describes the video with absolute URLs', () => {
+            const html = head({ title: 'Ocean waves', tags: ['ocean', 'waves'] });
+            
+            assert.match(html, /<title>Ocean waves - FreeViD<\/title>/);
+            assert.match(html, /<link rel="canonical" href="https:\/\/freevid\.example\/watch\/7">/);
+            assert.match(html, /<meta property="og:image" content="https:\/\/freevid\.example\/media\/ocean\.jpg">/);
+            assert.match(html, /<meta property="og:video" content="https:\/\/freevid\.example\/media\/ocean-hd\.mp4">/);
+            assert.deepEqual(jsonLd(html), {
+                '@context': 'https://schema.org',
+                '@type': 'VideoObject',
+                name: 'Ocean waves',
+                description: 'Video by Jane Doe on FreeViD: ocean, waves. Watch and download for free.',
+                thumbnailUrl: ['https://freevid.example/media/ocean.jpg'],
+                duration: 'PT1M5S',
+                contentUrl: 'https://freevid.example/media/ocean-hd.mp4',
+                width: 1920,
+                height: 1080,
+                keywords: 'ocean, waves',
+                author: { '@type': 'Person', name: 'Jane Doe', url: 'https://example.com/jane' },
+                url: 'https://freevid.example/watch/7'
+            });
+        });
+        
+        it('escapes markup in provider fields', () => {
+            const html = head({
+                title: '</title><script>alert(1)</script>',
+                user: { name: '"><img src=x onerror=alert(1)>' },
+                tags: ["it's <b>"]
+            });
+            
+            assert.doesNotMatch(html, /<script>alert/);
+            assert.doesNotMatch(html, /<img/);
+            assert.match(html, /<title>&lt;\/title&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt; - FreeViD<\/title>/);
+            assert.match(html, /content="Video by &quot;&gt;&lt;img src=x onerror=alert\(1\)&gt; on FreeViD: it&#39;s &lt;b&gt;\./);
+        });
+        
+        it('keeps the JSON-LD script from being closed early', () => {
+            const html = head({ title: '</script><script>alert(1)</script>' });
+            const script = html.slice(html.indexOf('<script type="application/ld+json">'));
+            
+            assert.equal(script.match(/<\/script>/g).length, 1);
+            assert.equal(jsonLd(html).name, '</script><script>alert(1)</script>');
+        });
+        
+        it('escapes the canonical URL', () => {
+            const html = head({}, `${baseUrl}/watch/7?"><script>`);
+            assert.match(html, /href="https:\/\/freevid\.example\/watch\/7\?&quot;&gt;&lt;script&gt;"/);
+        });
+        
+        it('leaves out tags without a value', () => {
+            const html = head({ image: null, video_files: [], user: null });
+            
+            assert.doesNotMatch(html, /og:image|og:video/);
+            assert.match(html, /<meta name="twitter:card" content="summary">/);
+            assert.match(html, /<title>Free Video - FreeViD<\/title>/);
+        });
+    });
+    
+    describe('injectHead', () => {
+        const shell = '<head>\n    <title>FreeViD</title>\n</head>';
+        
+        it('replaces the shell title', () => {
+            assert.equal(injectHead(shell, '<title>Ocean</title>'), '<head>\n    <title>Ocean</title>\n</head>');
+        });
+        
+        it('inserts replacement patterns literally', () => {
+            const html = injectHead(shell, head({ title: "$& $' $` $1" }));
+            
+            assert.match(html, /<title>\$&amp; \$&#39; \$` \$1 - FreeViD<\/title>/);
+            assert.doesNotMatch(html, /<title>FreeViD<\/title>/);
+        });
+    });
+    
+    describe('sitemap', () => {
+        it('lists each URL with its optional fields', () => {
+            const xml = sitemap([
+                { loc: `${baseUrl}/`, changefreq: 'daily', priority: 1 },
+                { loc: `${baseUrl}/watch/7`, lastmod: '2026-01-15' }
+            ]);
+            
+            assert.equal(xml, [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+                '  <url><loc>https://freevid.example/</loc><changefreq>daily</changefreq><priority>1</priority></url>',
+                '  <url><loc>https://freevid.example/watch/7</loc><lastmod>2026-01-15</lastmod></url>',
+                '</urlset>',
+                ''
+            ].join('\n'));
+        });
+        
+        it('escapes URLs', () => {
+            const xml = sitemap([{ loc: `${baseUrl}/search?q=a&b=<c>` }]);
+            assert.match(xml, /<loc>https:\/\/freevid\.example\/search\?q=a&amp;b=&lt;c&gt;<\/loc>/);
+        });
+    });
+    
+    it('escapes every HTML-significant character', () => {
+        assert.equal(escapeHtml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+        assert.equal(escapeHtml(null), '');
+    });
+});
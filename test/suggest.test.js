@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { suggest, fold, distance } = require('../lib/suggest');
+
+const keywords = (...texts) => texts.map(text => ({ text, type: 'keyword' }));
+const texts = suggestions => suggestions.map(suggestion => suggestion.text);
+
+describe('suggest', () => {
+    describe('fold', () => {
+        it('drops accents and case and maps back to the original positions', () => {
+            assert.equal(fold('Café Crème').folded, 'cafe creme');
+            // A separate combining accent takes a character in the original only
+            const { folded, positions } = fold('Cafe\u0301 bar');
+            assert.equal(folded, 'cafe bar');
+            assert.deepEqual(positions, [0, 1, 2, 3, 5, 6, 7, 8, 9]);
+        });
+    });
+    
+    describe('distance', () => {
+        it('counts a swap of neighbouring letters as one edit', () => {
+            assert.equal(distance('ocean', 'ocaen'), 1);
+            assert.equal(distance('ocean', 'ocen'), 1);
+            assert.equal(distance('ocean', 'oxxan'), 2);
+            assert.equal(distance('', 'abc'), 3);
+        });
+    });
+    
+    describe('matching', () => {
+        it('ranks exact, prefix, word and substring matches in that order', () => {
+            const candidates = keywords('sea', 'seashore', 'deep sea', 'overseas');
+            assert.deepEqual(texts(suggest('sea', candidates)), ['sea', 'seashore', 'deep sea', 'overseas']);
+        });
+        
+        it('needs three letters for a substring match and four for a fuzzy one', () => {
+            assert.deepEqual(suggest('ea', keywords('ocean')), []);
+            assert.deepEqual(texts(suggest('cea', keywords('ocean'))), ['ocean']);
+            assert.deepEqual(suggest('ocn', keywords('ocean')), []);
+        });
+        
+        it('matches with a typo from any word start', () => {
+            assert.deepEqual(texts(suggest('ocen', keywords('ocean waves'))), ['ocean waves']);
+            assert.deepEqual(texts(suggest('sunst', keywords('ocean sunset'))), ['ocean sunset']);
+            assert.deepEqual(texts(suggest('mountian', keywords('mountain lake'))), ['mountain lake']);
+        });
+        
+        it('allows two typos only in longer queries', () => {
+            assert.deepEqual(suggest('ocxxn', keywords('ocean')), []);
+            assert.deepEqual(texts(suggest('wterfal', keywords('waterfall'))), ['waterfall']);
+        });
+        
+        it('ignores accents, case and extra spaces in the query', () => {
+            assert.deepEqual(texts(suggest('  CAFE   cr', keywords('Café Crème'))), ['Café Crème']);
+            assert.deepEqual(suggest('   ', keywords('ocean')), []);
+        });
+    });
+    
+    describe('ranking', () => {
+        it('prefers catalog entries over keywords with the same kind of match', () => {
+            const candidates = [
+                ...keywords('nature walk'),
+                { text: 'Nature', type: 'category', id: 'nature' },
+                { text: 'Nature Escapes', type: 'collection', id: 'nature-escapes' }
+            ];
+            const suggestions = suggest('natu', candidates);
+            
+            assert.deepEqual(texts(suggestions), ['Nature', 'Nature Escapes', 'nature walk']);
+            assert.equal(suggestions[0].id, 'nature');
+            assert.equal(suggestions[2].id, undefined);
+        });
+        
+        it('orders trending searches by their weight, capped', () => {
+            const candidates = [
+                ...keywords('ocean reef'),
+                { text: 'ocean drone', type: 'popular', weight: 4 },
+                { text: 'ocean storm', type: 'popular', weight: 500 }
+            ];
+            assert.deepEqual(texts(suggest('ocean', candidates)), ['ocean storm', 'ocean drone', 'ocean reef']);
+            
+            // A capped weight doesn't lift a trending search over a better match
+            assert.deepEqual(texts(suggest('ocean reef', candidates)), ['ocean reef']);
+            assert.equal(suggest('ocean', [...keywords('ocean'), candidates[2]])[0].text, 'ocean');
+        });
+        
+        it('keeps the best source for the same text', () => {
+            const candidates = [...keywords('Travel'), { text: 'travel', type: 'category', id: 'travel' }];
+            assert.deepEqual(suggest('trav', candidates).map(suggestion => suggestion.type), ['category']);
+        });
+        
+        it('returns at most `limit` suggestions', () => {
+            const candidates = keywords('sea', 'sea cave', 'sea lion', 'sea turtle');
+            assert.deepEqual(texts(suggest('sea', candidates, 2)), ['sea', 'sea cave']);
+        });
+    });
+    
+    describe('highlight', () => {
+        it('covers the matched part of the original text', () => {
+            assert.deepEqual(suggest('sun', keywords('ocean sunset'))[0].highlight, [6, 9]);
+            assert.deepEqual(suggest('ocen', keywords('ocean waves'))[0].highlight, [0, 5]);
+        });
+        
+        it('points into the unfolded text', () => {
+            // Accents written as separate combining characters
+            const [suggestion] = suggest('creme', keywords('Cafe\u0301 Cre\u0300me'));
+            assert.deepEqual(suggestion.highlight, [6, 12]);
+            assert.equal(suggestion.text.slice(...suggestion.highlight), 'Cre\u0300me');
+        });
+    });
+});
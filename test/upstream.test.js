@@ -0,0 +1,205 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Cache } = require('../lib/cache');
+const { createUpstream } = require('../lib/upstream');
+const { RateLimitError, UpstreamUnavailableError } = require('../providers/errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Provider whose calls are counted and answered by the test: each call waits
+// until resolve() or reject() is called, or answers with `next` right away.
+function createFakeProvider() {
+    const provider = {
+        calls: [],
+        pending: [],
+        next: null,
+        
+        popular(params) {
+            provider.calls.push(params);
+            if (provider.next) {
+                const next = provider.next;
+                return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+            }
+            return new Promise((resolve, reject) => provider.pending.push({ resolve, reject }));
+        },
+        
+        resolve(data) {
+            provider.pending.splice(0).forEach(call => call.resolve(data));
+        },
+        
+        reject(error) {
+            provider.pending.splice(0).forEach(call => call.reject(error));
+        }
+    };
+    return provider;
+}
+
+// Let a settled upstream call finish writing to the cache
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('upstream requests', () => {
+    let provider;
+    let cache;
+    let ttls;
+    
+    beforeEach(() => {
+        provider = createFakeProvider();
+        cache = new Cache({ sweepInterval: 0 });
+        ttls = { popular: 60 * 1000 };
+    });
+    
+    // Expired entries are served while revalidating for `staleWhileRevalidate` ms
+    const create = staleWhileRevalidate => createUpstream({
+        provider: provider,
+        cache: cache,
+        ttls: ttls,
+        staleWhileRevalidate: staleWhileRevalidate
+    });
+    
+    // Put a short-lived first response in the cache and let it expire
+    async function primeStale(upstream, data) {
+        ttls.popular = 1;
+        provider.next = data;
+        await upstream.providerRequest('popular', { page: 1 });
+        provider.next = null;
+        ttls.popular = 60 * 1000;
+        await sleep(10);
+    }
+    
+    describe('coalescing', () => {
+        it('shares one upstream call between concurrent identical requests', async () => {
+            const upstream = create(0);
+            const requests = Array.from({ length: 5 }, () => upstream.providerRequest('popular', { page: 1 }));
+            await settle();
+            
+            assert.equal(provider.calls.length, 1);
+            provider.resolve({ page: 1 });
+            
+            const results = await Promise.all(requests);
+            results.forEach(result => assert.deepEqual(result, { page: 1 }));
+            assert.equal(upstream.stats().requests, 1);
+            assert.equal(upstream.stats().coalesced, 4);
+            assert.equal(upstream.stats().inflight, 0);
+        });
+        
+        it('makes separate calls for different arguments', async () => {
+            const upstream = create(0);
+            const requests = [upstream.providerRequest('popular', { page: 1 }), upstream.providerRequest('popular', { page: 2 })];
+            await settle();
+            
+            assert.equal(provider.calls.length, 2);
+            provider.resolve({});
+            await Promise.all(requests);
+        });
+        
+        it('shares a failure between the waiting requests', async () => {
+            const upstream = create(0);
+            const requests = Array.from({ length: 3 }, () => upstream.providerRequest('popular', { page: 1 }));
+            await settle();
+            provider.reject(new UpstreamUnavailableError('down', 30));
+            
+            const results = await Promise.allSettled(requests);
+            results.forEach(result => assert.ok(result.reason instanceof UpstreamUnavailableError));
+            assert.equal(provider.calls.length, 1);
+            assert.equal(upstream.stats().errors, 1);
+        });
+        
+        it('answers fresh entries from the cache', async () => {
+            const upstream = create(0);
+            provider.next = { page: 1 };
+            await upstream.providerRequest('popular', { page: 1 });
+            provider.next = { page: 'changed' };
+            
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { page: 1 });
+            assert.equal(provider.calls.length, 1);
+        });
+    });
+    
+    describe('stale fallback', () => {
+        const failures = {
+            429: () => new RateLimitError('quota used up', 60),
+            500: () => Object.assign(new Error('server error'), { status: 500 }),
+            503: () => new UpstreamUnavailableError('down', 30)
+        };
+        
+        Object.entries(failures).forEach(([status, failure]) => {
+            it(`serves the stale entry when upstream answers ${status}`, async () => {
+                const upstream = create(0);
+                await primeStale(upstream, { videos: ['old'] });
+                provider.next = failure();
+                
+                assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['old'] });
+                assert.equal(provider.calls.length, 2);
+                assert.equal(upstream.stats().staleServed, 1);
+                assert.equal(upstream.summary().errorsByStatus[status], 1);
+                assert.equal(upstream.summary().lastError.method, 'popular');
+            });
+        });
+        
+        it('fails when there is nothing stale to serve', async () => {
+            const upstream = create(0);
+            provider.next = new RateLimitError('quota used up', 60);
+            
+            await assert.rejects(upstream.providerRequest('popular', { page: 1 }), RateLimitError);
+            assert.equal(upstream.stats().staleServed, 0);
+        });
+        
+        it('replaces the stale entry once upstream answers again', async () => {
+            const upstream = create(0);
+            await primeStale(upstream, { videos: ['old'] });
+            provider.next = { videos: ['new'] };
+            
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['new'] });
+            assert.equal(upstream.stats().staleServed, 0);
+        });
+    });
+    
+    describe('background revalidation', () => {
+        it('serves a recently expired entry at once and refreshes it in the background', async () => {
+            const upstream = create(60 * 1000);
+            await primeStale(upstream, { videos: ['old'] });
+            
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['old'] });
+            assert.equal(provider.calls.length, 2);
+            assert.equal(upstream.stats().backgroundRefreshes, 1);
+            assert.equal(upstream.stats().inflight, 1);
+            
+            provider.resolve({ videos: ['new'] });
+            await settle();
+            
+            provider.next = { videos: ['newer'] };
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['new'] });
+            assert.equal(provider.calls.length, 2);
+        });
+        
+        it('runs one refresh for concurrent stale requests', async () => {
+            const upstream = create(60 * 1000);
+            await primeStale(upstream, { videos: ['old'] });
+            
+            const results = await Promise.all(Array.from({ length: 4 }, () => upstream.providerRequest('popular', { page: 1 })));
+            results.forEach(result => assert.deepEqual(result, { videos: ['old'] }));
+            assert.equal(provider.calls.length, 2);
+            assert.equal(upstream.stats().backgroundRefreshes, 1);
+            assert.equal(upstream.stats().staleServed, 4);
+            
+            provider.resolve({ videos: ['new'] });
+            await settle();
+        });
+        
+        it('keeps the stale entry when the refresh fails', async () => {
+            const upstream = create(60 * 1000);
+            await primeStale(upstream, { videos: ['old'] });
+            
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['old'] });
+            provider.reject(new RateLimitError('quota used up', 60));
+            await settle();
+            
+            assert.equal(upstream.stats().errors, 1);
+            assert.equal(upstream.stats().inflight, 0);
+            provider.next = { videos: ['new'] };
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['old'] });
+            await settle();
+            assert.deepEqual(await upstream.providerRequest('popular', { page: 1 }), { videos: ['new'] });
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStore } = require('../lib/user-store');
+const { hashPassword } = require('../lib/auth');
+const { ApiError } = require('../lib/errors');
+
+describe('user store', () => {
+    let directory;
+    let file;
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freestream-users-'));
+        file = path.join(directory, 'users.json');
+    });
+    
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    describe('createUser', () => {
+        it('lets only one of two concurrent registrations for a name succeed', async () => {
+            const users = new UserStore(file);
+            // The same order of steps as the register route: hash first, then create
+            const register = async username => users.createUser(username, await hashPassword('correct horse'));
+            
+            const results = await Promise.allSettled([register('alice'), register('Alice')]);
+            
+            assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+            const failure = results.find(result => result.status === 'rejected').reason;
+            assert.ok(failure instanceof ApiError);
+            assert.equal(failure.status, 409);
+            assert.equal(failure.code, 'USERNAME_TAKEN');
+            assert.equal(users.data.users.length, 1);
+        });
+    });
+    
+    describe('sync', () => {
+        const now = Date.now();
+        const records = [
+            { id: '__proto__', updatedAt: now, data: { title: 'proto' } },
+            { id: 'constructor', updatedAt: now, data: { title: 'constructor' } },
+            { id: 'toString', updatedAt: now, data: { title: 'toString' } }
+        ];
+        
+        it('stores records whose ids are Object.prototype names', async () => {
+            const users = new UserStore(file);
+            const collection = await users.sync('user-1', 'likes', records);
+            
+            assert.deepEqual(Object.keys(collection.items).sort(), ['__proto__', 'constructor', 'toString']);
+            assert.equal(collection.items.__proto__.data.title, 'proto');
+            assert.equal(collection.version, 1);
+        });
+        
+        it('keeps them after a restart', async () => {
+            const users = new UserStore(file);
+            await users.sync('user-1', 'likes', records);
+            await users.writing;
+            
+            const reloaded = new UserStore(file);
+            const collection = await reloaded.sync('user-1', 'likes', [{ id: '__proto__', updatedAt: now + 1, deleted: true }]);
+            
+            assert.equal(Object.keys(collection.items).length, 3);
+            assert.equal(collection.items.__proto__.deleted, true);
+            assert.equal(collection.items.constructor.data.title, 'constructor');
+            assert.equal(collection.version, 2);
+        });
+    });
+});